@@ -20,6 +20,9 @@ browser.runtime.onMessageExternal.addListener(async (message, sender) => {
       case 'getCounter':
         return { success: true, data: counter };
 
+      case 'whoami':
+        return { success: true, data: sender.id };
+
       case 'increment':
         counter++;
         return { success: true, data: counter };
@@ -32,6 +35,20 @@ browser.runtime.onMessageExternal.addListener(async (message, sender) => {
   }
 });
 
+// Long-lived ports get a reply to every message with the current counter. Ports
+// named 'welcome' are also greeted as soon as they connect.
+browser.runtime.onConnectExternal.addListener((port) => {
+  if (port.name === 'welcome') {
+    port.postMessage({ action: 'welcome', counter });
+  }
+  port.onMessage.addListener((message) => {
+    if (message.action === 'increment') {
+      counter++;
+    }
+    port.postMessage({ action: message.action, counter });
+  });
+});
+
 // Increment counter when the browser action button is clicked.
 browser.browserAction.onClicked.addListener(() => {
   counter++;
@@ -0,0 +1,32 @@
+let counter = 0;
+let greeting = 'Hello';
+
+// The popup's button increments the counter; the options page sets the greeting.
+browser.runtime.onMessage.addListener(async (message) => {
+  switch (message.action) {
+    case 'increment':
+      counter++;
+      return counter;
+    case 'getCounter':
+      return counter;
+    case 'setGreeting':
+      greeting = message.greeting;
+      return greeting;
+    case 'getGreeting':
+      return greeting;
+  }
+});
+
+// Respond to external messages for test verification.
+browser.runtime.onMessageExternal.addListener(async (message) => {
+  switch (message.action) {
+    case 'getCounter':
+      return { success: true, data: counter };
+    case 'getGreeting':
+      return { success: true, data: greeting };
+    default:
+      return { success: false, error: `Unknown action: ${message.action}` };
+  }
+});
+
+console.log('[PopupTest] Extension loaded');
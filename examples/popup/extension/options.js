@@ -0,0 +1,11 @@
+const greeting = document.getElementById('greeting');
+const status = document.getElementById('status');
+
+browser.runtime.sendMessage({ action: 'getGreeting' }).then((value) => {
+  greeting.value = value;
+});
+
+document.getElementById('save').addEventListener('click', async () => {
+  await browser.runtime.sendMessage({ action: 'setGreeting', greeting: greeting.value });
+  status.textContent = 'Saved';
+});
@@ -0,0 +1,13 @@
+const count = document.getElementById('count');
+
+browser.runtime.sendMessage({ action: 'getCounter' }).then((value) => {
+  count.textContent = value;
+});
+
+document.getElementById('increment').addEventListener('click', async () => {
+  count.textContent = await browser.runtime.sendMessage({ action: 'increment' });
+});
+
+document.getElementById('label').addEventListener('input', (event) => {
+  document.getElementById('echo').textContent = event.target.value;
+});
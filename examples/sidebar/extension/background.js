@@ -0,0 +1,24 @@
+const notes = [];
+
+// The sidebar adds notes and lists them.
+browser.runtime.onMessage.addListener(async (message) => {
+  switch (message.action) {
+    case 'addNote':
+      notes.push(message.text);
+      return notes;
+    case 'getNotes':
+      return notes;
+  }
+});
+
+// Respond to external messages for test verification.
+browser.runtime.onMessageExternal.addListener(async (message) => {
+  switch (message.action) {
+    case 'getNotes':
+      return { success: true, data: notes };
+    default:
+      return { success: false, error: `Unknown action: ${message.action}` };
+  }
+});
+
+console.log('[SidebarTest] Extension loaded');
@@ -0,0 +1,17 @@
+const list = document.getElementById('notes');
+const input = document.getElementById('note');
+
+function render(notes) {
+  list.replaceChildren(...notes.map((text) => {
+    const item = document.createElement('li');
+    item.textContent = text;
+    return item;
+  }));
+}
+
+browser.runtime.sendMessage({ action: 'getNotes' }).then(render);
+
+document.getElementById('add').addEventListener('click', async () => {
+  render(await browser.runtime.sendMessage({ action: 'addNote', text: input.value }));
+  input.value = '';
+});
@@ -33,15 +33,63 @@ browser.tabs.onUpdated.addListener(async (tabId, changeInfo, tab) => {
     }
 });
 
+// --- Event Delivery ---
+// Every recorded event gets its kind ('tab', 'window', 'tabGroup', 'navigation',
+// 'storage', 'console' or 'extensionMessage') and a sequence number shared across
+// kinds, so TestBridge can tell which events it has already seen no matter how they
+// reached it. Events are also pushed as they happen to bridge pages that asked for
+// them (see 'subscribeEvents') and over the WebSocket transport.
+let nextEventSeq = 1;
+const eventSubscribers = new Set();
+
+// Each buffer keeps this many of its most recent events (see 'setEventBufferSize').
+let eventBufferSize = 100;
+
+// The WebSocket transport's connection, opened by connectSocket() below.
+let bridgeSocket = null;
+
+function recordEvent(buffer, kind, event) {
+  event.kind = kind;
+  event.seq = nextEventSeq++;
+  buffer.push(event);
+  if (buffer.length > eventBufferSize) {
+    buffer.shift();
+  }
+
+  for (const tabId of eventSubscribers) {
+    browser.tabs.sendMessage(tabId, { type: 'bridge-event', event }).catch(() => {
+      eventSubscribers.delete(tabId);
+    });
+  }
+  if (bridgeSocket && bridgeSocket.readyState === WebSocket.OPEN) {
+    bridgeSocket.send(JSON.stringify({ type: 'event', event }));
+  }
+}
+
+browser.tabs.onRemoved.addListener((tabId) => {
+  eventSubscribers.delete(tabId);
+});
+
+// Applies event log filters: { since, tabId, windowId, groupId, frameId, extensionId, types, limit }
+function filterEvents(events, { since, tabId, windowId, groupId, frameId, extensionId, types, limit }) {
+  const matching = events.filter((e) => {
+    if (since !== undefined && since !== null && e.seq <= since) return false;
+    if (types && !types.includes(e.type)) return false;
+    if (tabId !== undefined && (e.tabId ?? e.tab?.id) !== tabId && !e.tabIds?.includes(tabId)) return false;
+    if (windowId !== undefined && (e.windowId ?? e.window?.id) !== windowId) return false;
+    if (groupId !== undefined && e.group?.id !== groupId) return false;
+    if (frameId !== undefined && e.frameId !== frameId) return false;
+    if (extensionId !== undefined && e.extensionId !== extensionId) return false;
+    return true;
+  });
+  return limit ? matching.slice(0, limit) : matching;
+}
+
 // --- Tab Event Buffer ---
-const TAB_EVENT_BUFFER_SIZE = 100;
 const tabEventBuffer = [];
 
 function pushTabEvent(event) {
-  tabEventBuffer.push(event);
-  if (tabEventBuffer.length > TAB_EVENT_BUFFER_SIZE) {
-    tabEventBuffer.shift();
-  }
+  recordEvent(tabEventBuffer, 'tab', event);
 }
 
 browser.tabs.onCreated.addListener((tab) => {
@@ -56,15 +104,35 @@ browser.tabs.onRemoved.addListener((tabId, removeInfo) => {
   pushTabEvent({ type: 'removed', tabId, removeInfo, timestamp: Date.now() });
 });
 
+browser.tabs.onActivated.addListener(({ tabId, previousTabId, windowId }) => {
+  pushTabEvent({ type: 'activated', tabId, previousTabId, windowId, timestamp: Date.now() });
+});
+
+browser.tabs.onMoved.addListener((tabId, moveInfo) => {
+  pushTabEvent({ type: 'moved', tabId, moveInfo, timestamp: Date.now() });
+});
+
+browser.tabs.onAttached.addListener((tabId, attachInfo) => {
+  pushTabEvent({ type: 'attached', tabId, attachInfo, timestamp: Date.now() });
+});
+
+browser.tabs.onDetached.addListener((tabId, detachInfo) => {
+  pushTabEvent({ type: 'detached', tabId, detachInfo, timestamp: Date.now() });
+});
+
+browser.tabs.onReplaced.addListener((addedTabId, removedTabId) => {
+  pushTabEvent({ type: 'replaced', tabId: addedTabId, removedTabId, timestamp: Date.now() });
+});
+
+browser.tabs.onHighlighted.addListener(({ tabIds, windowId }) => {
+  pushTabEvent({ type: 'highlighted', tabIds, windowId, timestamp: Date.now() });
+});
+
 // --- Window Event Buffer ---
-const WINDOW_EVENT_BUFFER_SIZE = 100;
 const windowEventBuffer = [];
 
 function pushWindowEvent(event) {
-  windowEventBuffer.push(event);
-  if (windowEventBuffer.length > WINDOW_EVENT_BUFFER_SIZE) {
-    windowEventBuffer.shift();
-  }
+  recordEvent(windowEventBuffer, 'window', event);
 }
 
 browser.windows.onCreated.addListener((window) => {
@@ -75,16 +143,499 @@ browser.windows.onRemoved.addListener((windowId) => {
   pushWindowEvent({ type: 'removed', windowId, timestamp: Date.now() });
 });
 
+// --- Tab Group Event Buffer ---
+const tabGroupEventBuffer = [];
+
+function pushTabGroupEvent(event) {
+  recordEvent(tabGroupEventBuffer, 'tabGroup', event);
+}
+
+// Tab groups are only available in newer Firefox versions.
+if (browser.tabGroups) {
+  browser.tabGroups.onCreated.addListener((group) => {
+    pushTabGroupEvent({ type: 'created', group, timestamp: Date.now() });
+  });
+
+  browser.tabGroups.onUpdated.addListener((group) => {
+    pushTabGroupEvent({ type: 'updated', group, timestamp: Date.now() });
+  });
+
+  browser.tabGroups.onMoved.addListener((group) => {
+    pushTabGroupEvent({ type: 'moved', group, timestamp: Date.now() });
+  });
+
+  browser.tabGroups.onRemoved.addListener((group, removeInfo) => {
+    pushTabGroupEvent({ type: 'removed', group, removeInfo, timestamp: Date.now() });
+  });
+}
+
+// --- Navigation Event Buffer ---
+const navigationEventBuffer = [];
+
+function pushNavigationEvent(event) {
+  recordEvent(navigationEventBuffer, 'navigation', event);
+}
+
+// Every frame's navigations are recorded; frameId 0 is the top-level document.
+const NAVIGATION_EVENT_TYPES = [
+  'beforeNavigate', 'committed', 'DOMContentLoaded', 'completed', 'errorOccurred',
+  'historyStateUpdated', 'referenceFragmentUpdated'
+];
+
+for (const type of NAVIGATION_EVENT_TYPES) {
+  const webNavigationEvent = browser.webNavigation['on' + type.charAt(0).toUpperCase() + type.slice(1)];
+  webNavigationEvent.addListener((details) => {
+    pushNavigationEvent({ ...details, type, timestamp: Date.now() });
+  });
+}
+
+// --- Storage Event Buffer ---
+// TestBridge.watchExtensionStorage() adds a storage.onChanged listener to another
+// extension that reports each change here.
+const storageEventBuffer = [];
+
+function pushStorageEvent(event) {
+  recordEvent(storageEventBuffer, 'storage', event);
+}
+
+browser.runtime.onMessageExternal.addListener((message, sender) => {
+  if (message && message.type === 'bridge-storage-changed') {
+    pushStorageEvent({
+      type: 'changed',
+      extensionId: sender.id,
+      area: message.area,
+      changes: message.changes,
+      timestamp: Date.now()
+    });
+  } else if (message && message.type === 'bridge-console') {
+    // Firefox vouches for sender, so an extension can only report its own console.
+    pushConsoleEvent({
+      ...consoleEntry({ ...message, source: sender.tab ? 'contentScript' : 'background' }),
+      extensionId: sender.id,
+      tabId: sender.tab ? sender.tab.id : undefined,
+      frameId: sender.tab ? sender.frameId : undefined
+    });
+  } else {
+    return receiveExtensionMessage(message, sender);
+  }
+});
+
+// --- Console Buffer ---
+// Console messages and uncaught errors, with the level as the event type ('log', 'info',
+// 'warn', 'error', 'debug', or 'exception' for uncaught errors and unhandled rejections).
+// direct-bridge.js reports the pages it runs on, and extensions set up by
+// TestBridge.captureConsole() report their background page and content scripts.
+const consoleEventBuffer = [];
+const CONSOLE_LEVELS = ['log', 'info', 'warn', 'error', 'debug'];
+
+// Extensions whose uncaught errors fail the next bridge request (see 'setFailOnError')
+const failOnErrorExtensions = new Set();
+let pendingUncaughtError = null;
+
+function pushConsoleEvent(event) {
+  recordEvent(consoleEventBuffer, 'console', event);
+  if (event.type === 'exception' && failOnErrorExtensions.has(event.extensionId) && !pendingUncaughtError) {
+    pendingUncaughtError = event;
+  }
+}
+
+function consoleEntry({ level, source, message, stack, url }) {
+  const type = CONSOLE_LEVELS.includes(level) ? level : 'exception';
+  return { type, source, message: String(message), stack: stack || null, url, timestamp: Date.now() };
+}
+
+// --- Extension Message Buffer ---
+// Messages other extensions send us with runtime.sendMessage() or over ports from
+// runtime.connect(), so tests can check what the extension under test reports.
+// Event types are 'received' for sendMessage() and 'portConnected', 'portMessage'
+// and 'portDisconnected' for ports.
+const extensionMessageBuffer = [];
+
+// Canned responses per sender, set with 'setExtensionReply': [{ match, response }]
+const extensionReplies = new Map();
+let nextPortId = 1;
+
+function pushExtensionMessageEvent(type, sender, fields) {
+  recordEvent(extensionMessageBuffer, 'extensionMessage', {
+    type,
+    extensionId: sender.id,
+    url: sender.url,
+    tabId: sender.tab ? sender.tab.id : undefined,
+    frameId: sender.frameId,
+    ...fields,
+    timestamp: Date.now()
+  });
+}
+
+// A reply matches when every property of its match equals the message's, or when
+// it has no match at all.
+function findExtensionReply(extensionId, message) {
+  const replies = extensionReplies.get(extensionId) || [];
+  return replies.find(({ match }) => !match || (
+    message !== null && typeof message === 'object' &&
+    Object.entries(match).every(([key, value]) => JSON.stringify(message[key]) === JSON.stringify(value))
+  ));
+}
+
+function receiveExtensionMessage(message, sender) {
+  pushExtensionMessageEvent('received', sender, { message });
+  const reply = findExtensionReply(sender.id, message);
+  return reply ? Promise.resolve(reply.response) : undefined;
+}
+
+browser.runtime.onConnectExternal.addListener((port) => {
+  const portId = nextPortId++;
+  const { sender, name: portName } = port;
+  pushExtensionMessageEvent('portConnected', sender, { portId, portName });
+  port.onMessage.addListener((message) => {
+    pushExtensionMessageEvent('portMessage', sender, { portId, portName, message });
+    const reply = findExtensionReply(sender.id, message);
+    if (reply) {
+      port.postMessage(reply.response);
+    }
+  });
+  port.onDisconnect.addListener(() => {
+    pushExtensionMessageEvent('portDisconnected', sender, { portId, portName });
+  });
+});
+
+// --- Outgoing Ports ---
+// Ports TestBridge.connectToExtension() opens to other extensions, by portId, as
+// { port, name, messages, connected, error }. Each port keeps what the extension
+// posts back and whether it's still open, so ExtensionPort doesn't depend on the
+// event buffers; messages are also recorded as extensionMessage events like the
+// ports above.
+const extensionPorts = new Map();
+
+// Firefox disconnects a port right away when nothing is listening for it, so we give
+// that a moment to happen before reporting the port as open.
+const PORT_CONNECT_SETTLE_TIME = 200;
+
+async function connectToExtension(targetExtensionId, portName, signal) {
+  const portId = nextPortId++;
+  const sender = { id: targetExtensionId };
+  // The extension may post as soon as it accepts the port, before we return.
+  const seq = nextEventSeq - 1;
+  const port = browser.runtime.connect(targetExtensionId, { name: portName });
+  const entry = { port, name: portName, messages: [], connected: true, error: undefined };
+  extensionPorts.set(portId, entry);
+
+  const disconnected = new Promise((resolve) => {
+    port.onDisconnect.addListener(() => {
+      entry.connected = false;
+      entry.error = port.error ? port.error.message : undefined;
+      pushExtensionMessageEvent('portDisconnected', sender, { portId, portName, error: entry.error });
+      resolve(port.error || new Error('Port was disconnected'));
+    });
+  });
+  port.onMessage.addListener((message) => {
+    entry.messages.push(message);
+    pushExtensionMessageEvent('portMessage', sender, { portId, portName, message });
+  });
+
+  const error = await Promise.race([disconnected, sleepUnlessAborted(PORT_CONNECT_SETTLE_TIME, signal).then(() => null)]);
+  if (signal && signal.aborted) {
+    // Nobody is waiting for this port any more.
+    extensionPorts.delete(portId);
+    port.disconnect();
+    return errorResponse('ABORTED', `Connecting to ${targetExtensionId} was cancelled`);
+  }
+  if (error) {
+    extensionPorts.delete(portId);
+    return errorResponse('EXTENSION_NOT_FOUND', {
+      message: `Extension not responding: ${error.message}`,
+      stack: error.stack
+    }, { targetExtensionId });
+  }
+  return { success: true, data: { portId, seq } };
+}
+
+// --- Sender Identities ---
+// launchBrowser({ senderIds }) installs small extensions under other IDs that relay
+// our messages, so 'forwardToExtension' can reach the target with their sender.id.
+async function sendAsIdentity(senderId, targetExtensionId, payload) {
+  let relayed;
+  try {
+    relayed = await browser.runtime.sendMessage(senderId, { type: 'bridge-relay', targetExtensionId, payload });
+  } catch (error) {
+    throw new Error(`Sender identity ${senderId} is not installed: ${error.message}`);
+  }
+  if (!relayed.success) {
+    const error = new Error(relayed.error);
+    error.stack = relayed.stack;
+    throw error;
+  }
+  return relayed.data;
+}
+
+// --- Dedicated Channel Window ---
+// Selenium focuses the channel window while it relays a call through it, so
+// "current window" lookups use the most recently used window besides it.
+let channelWindowId = null;
+
+browser.windows.onRemoved.addListener((windowId) => {
+  if (windowId === channelWindowId) {
+    channelWindowId = null;
+  }
+});
+
+// Relaying a call moves focus to the channel window and straight back, so neither
+// move is recorded. windowId is browser.windows.WINDOW_ID_NONE (-1) when no browser
+// window has focus.
+let focusedWindowId = browser.windows.WINDOW_ID_NONE;
+
+browser.windows.onFocusChanged.addListener((windowId) => {
+  if (windowId === channelWindowId || windowId === focusedWindowId) {
+    return;
+  }
+  focusedWindowId = windowId;
+  pushWindowEvent({ type: 'focusChanged', windowId, timestamp: Date.now() });
+});
+
+async function getTestWindowId() {
+  const activeTabs = await browser.tabs.query({ active: true });
+  const candidates = activeTabs
+    .filter(t => t.windowId !== channelWindowId)
+    .sort((a, b) => b.lastAccessed - a.lastAccessed);
+  return candidates.length > 0 ? candidates[0].windowId : null;
+}
+
+// --- WebSocket Transport ---
+// TestBridge.connectSocket() asks us to connect to the test server, after which
+// requests arrive as { id, action, data } and are answered as { id, success, data, error }.
+function connectSocket(url) {
+  if (bridgeSocket) {
+    bridgeSocket.close();
+    bridgeSocket = null;
+  }
+
+  return new Promise((resolve, reject) => {
+    const socket = new WebSocket(url);
+
+    socket.addEventListener('open', () => {
+      bridgeSocket = socket;
+      console.log('[BRIDGE] Socket connected:', url);
+      resolve();
+    }, { once: true });
+
+    socket.addEventListener('error', () => {
+      reject(new Error(`Could not connect to ${url}`));
+    }, { once: true });
+
+    socket.addEventListener('close', () => {
+      if (bridgeSocket === socket) {
+        bridgeSocket = null;
+        console.log('[BRIDGE] Socket closed');
+      }
+    });
+
+    socket.addEventListener('message', async (event) => {
+      let request;
+      try {
+        request = JSON.parse(event.data);
+      } catch (error) {
+        console.error('[BRIDGE] Ignoring malformed socket message:', event.data);
+        return;
+      }
+
+      const response = await handleMessage({ ...request.data, action: request.action }, null);
+      if (socket.readyState === WebSocket.OPEN) {
+        socket.send(JSON.stringify({ id: request.id, ...response }));
+      }
+    });
+  });
+}
+
+// --- Error Responses ---
+// Failed requests are answered with { success: false, error, code, stack?, details? }.
+// TestBridge turns each code into an error class (see lib/errors.js).
+function errorResponse(code, error, details) {
+  const response = { success: false, code, error: typeof error === 'string' ? error : error.message };
+  if (error && error.stack) {
+    response.stack = error.stack;
+  }
+  if (details) {
+    response.details = details;
+  }
+  return response;
+}
+
+// --- Access Control ---
+// TestBridge.init() calls 'handshake' to get the session secret, and every other request
+// from a page has to carry it as bridgeSecret. The secret is only handed out once, and
+// only to our own test-api.html, which TestBridge opens for that and web pages can't
+// script, so a page can't get hold of it by asking first. 'setAllowedOrigins'
+// additionally keeps the bridge off pages from other origins. The socket and our own
+// extension pages are trusted.
+let bridgeSecret = null;
+let allowedOrigins = null;
+
+// recordConsole only comes from our own content script, reporting the page it runs on;
+// pages can't send runtime messages.
+const UNAUTHENTICATED_ACTIONS = new Set(['handshake', 'checkOrigin', 'recordConsole']);
+
+// Requests TestBridge makes on its own, which shouldn't pick up an uncaught error
+// meant for the test (see 'setFailOnError').
+const FAIL_ON_ERROR_EXEMPT_ACTIONS = new Set([
+  ...UNAUTHENTICATED_ACTIONS, 'cancelRequest', 'getEvents', 'subscribeEvents', 'registerChannel',
+  'setAllowedOrigins', 'setFailOnError', 'getConsoleMessages'
+]);
+
+function isExtensionSender(sender) {
+  return !sender || (sender.url || '').startsWith(browser.runtime.getURL(''));
+}
+
+function isAllowedOrigin(sender) {
+  if (!allowedOrigins || isExtensionSender(sender)) return true;
+  try {
+    return allowedOrigins.includes(new URL(sender.url).origin);
+  } catch (error) {
+    return false;
+  }
+}
+
+function checkAccess(message, sender) {
+  if (!isAllowedOrigin(sender)) {
+    return errorResponse('NOT_AUTHORIZED', `The bridge isn't allowed on ${sender.url}`);
+  }
+  if (UNAUTHENTICATED_ACTIONS.has(message.action) || isExtensionSender(sender)) {
+    return null;
+  }
+  if (!bridgeSecret || message.bridgeSecret !== bridgeSecret) {
+    return errorResponse('NOT_AUTHORIZED',
+      `'${message.action}' requires the session secret, call TestBridge.init() first`);
+  }
+  return null;
+}
+
+// --- Request Cancellation ---
+// TestBridge sends each request with a requestId and requestTimeout (ms). Handlers
+// get an AbortSignal that fires when the timeout passes or 'cancelRequest' names the
+// request, and the request is answered with an error right away. Handlers that wait
+// pass the signal on to sleepUnlessAborted() so they stop then too.
+const activeRequests = new Map();
+
+// Resolves after ms, or as soon as the signal fires. Returns whether it was aborted.
+function sleepUnlessAborted(ms, signal) {
+  if (signal && signal.aborted) {
+    return Promise.resolve(true);
+  }
+  return new Promise((resolve) => {
+    const onAbort = () => {
+      clearTimeout(timer);
+      resolve(true);
+    };
+    const timer = setTimeout(() => {
+      if (signal) signal.removeEventListener('abort', onAbort);
+      resolve(false);
+    }, ms);
+    if (signal) signal.addEventListener('abort', onAbort, { once: true });
+  });
+}
+
+async function handleMessage(message, sender) {
+  const denied = checkAccess(message, sender);
+  if (denied) {
+    return denied;
+  }
+
+  if (pendingUncaughtError && !FAIL_ON_ERROR_EXEMPT_ACTIONS.has(message.action)) {
+    const { extensionId, message: errorMessage, stack } = pendingUncaughtError;
+    pendingUncaughtError = null;
+    return errorResponse('UNCAUGHT_ERROR', { message: `Uncaught error in ${extensionId}: ${errorMessage}`, stack },
+      { extensionId });
+  }
+
+  if (message.action === 'cancelRequest') {
+    const controller = activeRequests.get(message.requestId);
+    if (controller) {
+      controller.abort('ABORTED');
+    }
+    return { success: true, data: !!controller };
+  }
+
+  if (!message.requestId) {
+    return await dispatchMessage(message, sender, null);
+  }
+
+  const controller = new AbortController();
+  activeRequests.set(message.requestId, controller);
+  const timer = message.requestTimeout
+    ? setTimeout(() => controller.abort('TIMEOUT'), message.requestTimeout)
+    : null;
+  const aborted = new Promise((resolve) => {
+    controller.signal.addEventListener('abort', () => {
+      resolve(controller.signal.reason === 'TIMEOUT'
+        ? errorResponse('TIMEOUT', `'${message.action}' timed out after ${message.requestTimeout} ms`)
+        : errorResponse('ABORTED', `'${message.action}' was cancelled`));
+    }, { once: true });
+  });
+
+  try {
+    return await Promise.race([dispatchMessage(message, sender, controller.signal), aborted]);
+  } finally {
+    clearTimeout(timer);
+    activeRequests.delete(message.requestId);
+  }
+}
+
+// --- Batches ---
+// A batch step can use an earlier step's result by putting { $result: index, path }
+// where a value goes, e.g. { $result: 0, path: 'id' } for the ID of a tab created in step 0.
+function resolveBatchRefs(value, results) {
+  if (Array.isArray(value)) {
+    return value.map(v => resolveBatchRefs(v, results));
+  }
+  if (!value || typeof value !== 'object') {
+    return value;
+  }
+  if (typeof value.$result === 'number') {
+    if (value.$result < 0 || value.$result >= results.length) {
+      throw new Error(`Batch reference to step ${value.$result}, which hasn't run yet`);
+    }
+    const path = value.path ? String(value.path).split('.') : [];
+    return path.reduce((v, key) => (v === null || v === undefined ? v : v[key]), results[value.$result]);
+  }
+  const resolved = {};
+  for (const [key, v] of Object.entries(value)) {
+    resolved[key] = resolveBatchRefs(v, results);
+  }
+  return resolved;
+}
+
+async function runBatch(steps, sender, signal) {
+  const results = [];
+  for (let index = 0; index < steps.length; index++) {
+    let step;
+    try {
+      step = resolveBatchRefs(steps[index], results);
+    } catch (error) {
+      return errorResponse('BAD_REQUEST', error, { index, results });
+    }
+
+    const response = await dispatchMessage(step, sender, signal);
+    if (!response.success) {
+      return {
+        ...response,
+        error: `Batch step ${index} (${step.action}) failed: ${response.error}`,
+        details: { ...response.details, index, results }
+      };
+    }
+    results.push(response.data);
+    if (signal && signal.aborted) break;
+  }
+  return { success: true, data: results };
+}
+
 // --- Message Handler ---
-console.log('[BRIDGE] Registering message listener...');
-browser.runtime.onMessage.addListener(async (message, sender) => {
+async function dispatchMessage(message, sender, signal) {
   try {
     switch (message.action) {
       // --- Existing APIs ---
 
       case 'getTabs':
         const tabs = await browser.tabs.query({});
-        return { success: true, data: tabs };
+        return { success: true, data: tabs.filter(t => t.windowId !== channelWindowId) };
 
       case 'getTabGroups':
         if (browser.tabGroups) {
@@ -98,7 +649,11 @@ browser.runtime.onMessage.addListener(async (message, sender) => {
         return { success: true, data: 'pong' };
 
       case 'moveTab':
-        const movedTab = await browser.tabs.move(message.tabId, { index: message.index });
+        const moveProperties = { index: message.index };
+        if (message.windowId !== undefined && message.windowId !== null) {
+          moveProperties.windowId = message.windowId;
+        }
+        const movedTab = await browser.tabs.move(message.tabId, moveProperties);
         return { success: true, data: movedTab };
 
       case 'pinTab':
@@ -125,13 +680,16 @@ browser.runtime.onMessage.addListener(async (message, sender) => {
       }
 
       case 'getActiveTab': {
-        const activeTabs = await browser.tabs.query({ active: true, currentWindow: true });
+        const testWindowId = channelWindowId !== null ? await getTestWindowId() : null;
+        const activeTabs = await browser.tabs.query(testWindowId !== null
+          ? { active: true, windowId: testWindowId }
+          : { active: true, currentWindow: true });
         return { success: true, data: activeTabs[0] || null };
       }
 
       case 'groupTabs':
         if (!browser.tabGroups) {
-          return { success: false, error: 'Tab Groups API not available' };
+          return errorResponse('NOT_SUPPORTED', 'Tab Groups API not available');
         }
         try {
           let groupId = message.groupId;
@@ -146,12 +704,15 @@ browser.runtime.onMessage.addListener(async (message, sender) => {
           });
           return { success: true, data: group };
         } catch (error) {
-          return { success: false, error: `Tab group operation failed: ${error.message}` };
+          return errorResponse('BROWSER_ERROR', {
+            message: `Tab group operation failed: ${error.message}`,
+            stack: error.stack
+          });
         }
 
       case 'ungroupTabs':
         if (!browser.tabGroups) {
-          return { success: false, error: 'Tab Groups API not available' };
+          return errorResponse('NOT_SUPPORTED', 'Tab Groups API not available');
         }
         await Promise.all(
           message.tabIds.map(tabId => browser.tabs.ungroup(tabId))
@@ -160,13 +721,24 @@ browser.runtime.onMessage.addListener(async (message, sender) => {
 
       case 'forwardToExtension':
         try {
-          const resp = await browser.runtime.sendMessage(
-            message.targetExtensionId,
-            message.payload
-          );
+          const resp = message.senderId
+            ? await sendAsIdentity(message.senderId, message.targetExtensionId, message.payload)
+            : await browser.runtime.sendMessage(message.targetExtensionId, message.payload);
           return { success: true, data: resp };
         } catch (error) {
-          return { success: false, error: `Extension not responding: ${error.message}` };
+          // Firefox reports a missing extension (or one without an onMessage
+          // listener) as a failed connection; anything else came from the target.
+          const details = { targetExtensionId: message.targetExtensionId };
+          if (message.senderId) {
+            details.senderId = message.senderId;
+          }
+          if (/Could not establish connection|Receiving end does not exist/.test(error.message)) {
+            return errorResponse('EXTENSION_NOT_FOUND', {
+              message: `Extension not responding: ${error.message}`,
+              stack: error.stack
+            }, details);
+          }
+          return errorResponse('EXTENSION_ERROR', error, details);
         }
 
       // --- New: Tab Lifecycle ---
@@ -194,6 +766,7 @@ browser.runtime.onMessage.addListener(async (message, sender) => {
         if (message.active !== undefined) updateProps.active = message.active;
         if (message.muted !== undefined) updateProps.muted = message.muted;
         if (message.pinned !== undefined) updateProps.pinned = message.pinned;
+        if (message.highlighted !== undefined) updateProps.highlighted = message.highlighted;
         const updatedTab = await browser.tabs.update(message.tabId, updateProps);
         return { success: true, data: updatedTab };
       }
@@ -208,7 +781,7 @@ browser.runtime.onMessage.addListener(async (message, sender) => {
           const allTabs = await browser.tabs.query({});
           const match = allTabs.find(t => t.url && t.url.includes(pattern));
           if (match) return { success: true, data: match };
-          await new Promise(r => setTimeout(r, 250));
+          if (await sleepUnlessAborted(250, signal)) break;
         }
         return { success: true, data: null };
       }
@@ -225,7 +798,8 @@ browser.runtime.onMessage.addListener(async (message, sender) => {
       // --- New: Screenshots ---
 
       case 'captureScreenshot': {
-        const dataUrl = await browser.tabs.captureVisibleTab(null, {
+        const captureWindowId = channelWindowId !== null ? await getTestWindowId() : null;
+        const dataUrl = await browser.tabs.captureVisibleTab(captureWindowId, {
           format: message.format || 'png'
         });
         return { success: true, data: dataUrl };
@@ -252,7 +826,7 @@ browser.runtime.onMessage.addListener(async (message, sender) => {
 
       case 'getWindows': {
         const windows = await browser.windows.getAll({ populate: true });
-        return { success: true, data: windows };
+        return { success: true, data: windows.filter(w => w.id !== channelWindowId) };
       }
 
       case 'getWindowById': {
@@ -272,34 +846,244 @@ browser.runtime.onMessage.addListener(async (message, sender) => {
         return { success: true, data: updatedWindow };
       }
 
+      // --- New: Access Control ---
+
+      case 'handshake': {
+        // Web pages can only confirm a secret they were given.
+        if (!bridgeSecret && isExtensionSender(sender)) {
+          bridgeSecret = crypto.randomUUID();
+        } else if (!bridgeSecret) {
+          return errorResponse('NOT_AUTHORIZED', "The session secret is only handed out to the bridge's test-api.html");
+        } else if (message.bridgeSecret !== bridgeSecret) {
+          return errorResponse('NOT_AUTHORIZED',
+            'The session secret was already handed out, pass it as the secret option of TestBridge');
+        }
+        // TestBridge falls back to test-api.html on pages the content script can't reach.
+        return {
+          success: true,
+          data: { secret: bridgeSecret, testApiUrl: TEST_API_URL, extensionId: browser.runtime.id }
+        };
+      }
+
+      case 'setAllowedOrigins': {
+        // The page asking stays allowed, otherwise TestBridge would lock itself out.
+        const origins = new Set(message.origins || []);
+        if (sender && sender.url && !isExtensionSender(sender)) {
+          origins.add(new URL(sender.url).origin);
+        }
+        allowedOrigins = message.origins ? [...origins] : null;
+        return { success: true, data: allowedOrigins };
+      }
+
+      case 'checkOrigin':
+        return { success: true, data: isAllowedOrigin(sender) };
+
+      // --- New: Dedicated Channel ---
+
+      case 'registerChannel': {
+        channelWindowId = sender.tab.windowId;
+        return { success: true, data: sender.tab };
+      }
+
+      // --- New: Event Subscribers ---
+
+      case 'subscribeEvents':
+        eventSubscribers.add(sender.tab.id);
+        return { success: true, data: null };
+
+      // --- New: WebSocket Transport ---
+
+      case 'connectSocket':
+        await connectSocket(message.url);
+        return { success: true, data: null };
+
       // --- New: Tab Events ---
 
       case 'getTabEvents': {
-        const events = [...tabEventBuffer];
+        const events = filterEvents(tabEventBuffer, message);
         if (message.clear) {
           tabEventBuffer.length = 0;
         }
         return { success: true, data: events };
       }
 
+      // --- New: Batches ---
+
+      case 'batch':
+        return await runBatch(message.steps || [], sender, signal);
+
+      // --- New: All Events ---
+
+      case 'setEventBufferSize': {
+        eventBufferSize = message.size;
+        for (const buffer of [
+          tabEventBuffer, windowEventBuffer, tabGroupEventBuffer, navigationEventBuffer, storageEventBuffer, consoleEventBuffer,
+          extensionMessageBuffer
+        ]) {
+          buffer.splice(0, Math.max(0, buffer.length - eventBufferSize));
+        }
+        return { success: true, data: null };
+      }
+
+      case 'getEvents': {
+        const since = message.since || 0;
+        const allEvents = [
+          ...tabEventBuffer, ...windowEventBuffer, ...tabGroupEventBuffer, ...navigationEventBuffer, ...storageEventBuffer,
+          ...consoleEventBuffer, ...extensionMessageBuffer
+        ]
+          .filter(e => e.seq > since)
+          .sort((a, b) => a.seq - b.seq);
+        return { success: true, data: { events: allEvents, lastSeq: nextEventSeq - 1 } };
+      }
+
       // --- New: Window Events ---
 
       case 'getWindowEvents': {
-        const winEvents = [...windowEventBuffer];
+        const winEvents = filterEvents(windowEventBuffer, message);
         if (message.clear) {
           windowEventBuffer.length = 0;
         }
         return { success: true, data: winEvents };
       }
 
+      // --- New: Navigation Events ---
+
+      case 'getNavigationEvents': {
+        const navEvents = filterEvents(navigationEventBuffer, message);
+        if (message.clear) {
+          navigationEventBuffer.length = 0;
+        }
+        return { success: true, data: navEvents };
+      }
+
+      // --- New: Tab Group Events ---
+
+      case 'getTabGroupEvents': {
+        const groupEvents = filterEvents(tabGroupEventBuffer, message);
+        if (message.clear) {
+          tabGroupEventBuffer.length = 0;
+        }
+        return { success: true, data: groupEvents };
+      }
+
+      // --- New: Storage Events ---
+
+      case 'getStorageEvents': {
+        const storageEvents = filterEvents(storageEventBuffer, message);
+        if (message.clear) {
+          storageEventBuffer.length = 0;
+        }
+        return { success: true, data: storageEvents };
+      }
+
+      // --- New: Console Capture ---
+
+      case 'recordConsole':
+        // Unauthenticated, so the report can only ever be about the sender's own page.
+        pushConsoleEvent({
+          ...consoleEntry({ ...message, source: 'page', url: sender.url }),
+          tabId: sender.tab ? sender.tab.id : undefined,
+          frameId: sender.frameId
+        });
+        return { success: true, data: null };
+
+      case 'getConsoleMessages': {
+        const consoleEvents = filterEvents(consoleEventBuffer, message);
+        if (message.clear) {
+          consoleEventBuffer.length = 0;
+        }
+        return { success: true, data: consoleEvents };
+      }
+
+      case 'setFailOnError':
+        if (message.enabled) {
+          failOnErrorExtensions.add(message.extensionId);
+        } else {
+          failOnErrorExtensions.delete(message.extensionId);
+        }
+        return { success: true, data: null };
+
+      // --- New: Extension Messages ---
+
+      case 'getExtensionMessages': {
+        const messages = filterEvents(extensionMessageBuffer, message);
+        if (message.clear) {
+          const kept = extensionMessageBuffer.filter(e => e.extensionId !== message.extensionId);
+          extensionMessageBuffer.splice(0, extensionMessageBuffer.length, ...kept);
+        }
+        return { success: true, data: messages };
+      }
+
+      case 'setExtensionReply': {
+        const replies = (extensionReplies.get(message.extensionId) || [])
+          .filter(reply => JSON.stringify(reply.match) !== JSON.stringify(message.match));
+        replies.push({ match: message.match, response: message.response });
+        extensionReplies.set(message.extensionId, replies);
+        return { success: true, data: null };
+      }
+
+      case 'clearExtensionReplies':
+        if (message.extensionId) {
+          extensionReplies.delete(message.extensionId);
+        } else {
+          extensionReplies.clear();
+        }
+        return { success: true, data: null };
+
+      // --- New: Extension Ports ---
+
+      case 'connectExtension':
+        return await connectToExtension(message.targetExtensionId, message.name, signal);
+
+      case 'postToExtensionPort': {
+        const entry = extensionPorts.get(message.portId);
+        if (!entry || !entry.connected) {
+          return errorResponse('BROWSER_ERROR', `Port ${message.portId} is not connected`);
+        }
+        entry.port.postMessage(message.message);
+        return { success: true, data: null };
+      }
+
+      case 'getExtensionPort': {
+        const entry = extensionPorts.get(message.portId);
+        if (!entry) {
+          return errorResponse('BROWSER_ERROR', `Port ${message.portId} was not opened by connectToExtension()`);
+        }
+        return {
+          success: true,
+          data: {
+            messages: entry.messages.slice(message.since || 0),
+            connected: entry.connected,
+            error: entry.error
+          }
+        };
+      }
+
+      case 'disconnectExtensionPort': {
+        const entry = extensionPorts.get(message.portId);
+        if (entry && entry.connected) {
+          // onDisconnect only fires for the other end, so record this side's disconnect here.
+          entry.connected = false;
+          entry.port.disconnect();
+          pushExtensionMessageEvent('portDisconnected', { id: message.targetExtensionId }, {
+            portId: message.portId,
+            portName: entry.name
+          });
+        }
+        return { success: true, data: null };
+      }
+
       default:
-        return { success: false, error: 'Unknown action: ' + message.action };
+        return errorResponse('UNKNOWN_ACTION', 'Unknown action: ' + message.action);
     }
   } catch (error) {
     console.error('[BRIDGE] Error handling message:', error);
-    return { success: false, error: error.message };
+    return errorResponse('BROWSER_ERROR', error);
   }
-});
+}
+
+console.log('[BRIDGE] Registering message listener...');
+browser.runtime.onMessage.addListener(handleMessage);
 
 console.log('[BRIDGE] Ready to serve test requests');
 
@@ -4,165 +4,6 @@
 
 console.log('[DIRECT BRIDGE] Initializing...');
 
-// Inject TestBridge API into page
-const script = document.createElement('script');
-script.textContent = `
-(function() {
-  console.log('[DIRECT BRIDGE] Creating API in page context...');
-
-  let requestId = 0;
-  const pendingRequests = new Map();
-
-  // Listen for responses from content script via postMessage
-  window.addEventListener('message', (event) => {
-    if (event.source !== window) return;
-    if (event.data && event.data.type === 'bridge-response') {
-      const { id, response, error } = event.data;
-      const { resolve, reject } = pendingRequests.get(id) || {};
-      if (resolve) {
-        pendingRequests.delete(id);
-        if (error) reject(new Error(error));
-        else resolve(response);
-      }
-    }
-  });
-
-  // Send request to content script via postMessage
-  function sendRequest(action, data) {
-    return new Promise((resolve, reject) => {
-      const id = ++requestId;
-      pendingRequests.set(id, { resolve, reject });
-      window.postMessage({ type: 'bridge-request', id, action, data }, '*');
-      // Timeout after 15 seconds (some ops like waitForTabUrl can take a while)
-      setTimeout(() => {
-        if (pendingRequests.has(id)) {
-          pendingRequests.delete(id);
-          reject(new Error('Request timed out'));
-        }
-      }, 15000);
-    });
-  }
-
-  window.TestBridge = {
-    // --- Basics ---
-    async ping() {
-      return await sendRequest('ping');
-    },
-
-    // --- Tab Queries ---
-    async getTabs() {
-      return await sendRequest('getTabs');
-    },
-    async getTabById(tabId) {
-      return await sendRequest('getTabById', { tabId });
-    },
-    async getTabGroups() {
-      return await sendRequest('getTabGroups');
-    },
-
-    // --- Tab Lifecycle ---
-    async createTab(url, active) {
-      return await sendRequest('createTab', { url, active });
-    },
-    async closeTab(tabId) {
-      return await sendRequest('closeTab', { tabId });
-    },
-    async updateTab(tabId, props) {
-      return await sendRequest('updateTab', { tabId, ...props });
-    },
-
-    // --- Tab State ---
-    async moveTab(tabId, index) {
-      return await sendRequest('moveTab', { tabId, index });
-    },
-    async pinTab(tabId) {
-      return await sendRequest('pinTab', { tabId });
-    },
-    async unpinTab(tabId) {
-      return await sendRequest('unpinTab', { tabId });
-    },
-    async groupTabs(tabIds, title, color, groupId) {
-      return await sendRequest('groupTabs', { tabIds, title, color: color || 'blue', groupId });
-    },
-    async ungroupTabs(tabIds) {
-      return await sendRequest('ungroupTabs', { tabIds });
-    },
-    async muteTab(tabId) {
-      return await sendRequest('muteTab', { tabId });
-    },
-    async unmuteTab(tabId) {
-      return await sendRequest('unmuteTab', { tabId });
-    },
-    async reloadTab(tabId) {
-      return await sendRequest('reloadTab', { tabId });
-    },
-    async getActiveTab() {
-      return await sendRequest('getActiveTab');
-    },
-
-    // --- Tab Waiting ---
-    async waitForTabUrl(pattern, timeout) {
-      return await sendRequest('waitForTabUrl', { pattern, timeout });
-    },
-    async waitForCondition(conditionFn, timeout) {
-      timeout = timeout || 5000;
-      const start = Date.now();
-      while (Date.now() - start < timeout) {
-        if (await conditionFn()) return true;
-        await new Promise(r => setTimeout(r, 100));
-      }
-      return false;
-    },
-
-    // --- Execute in Tab ---
-    async executeInTab(tabId, code) {
-      return await sendRequest('executeInTab', { tabId, code });
-    },
-
-    // --- Screenshots ---
-    async captureScreenshot(format) {
-      return await sendRequest('captureScreenshot', { format });
-    },
-
-    // --- Window Management ---
-    async createWindow(url, options) {
-      return await sendRequest('createWindow', { url, ...options });
-    },
-    async closeWindow(windowId) {
-      return await sendRequest('closeWindow', { windowId });
-    },
-    async getWindows() {
-      return await sendRequest('getWindows');
-    },
-    async getWindowById(windowId) {
-      return await sendRequest('getWindowById', { windowId });
-    },
-    async updateWindow(windowId, props) {
-      return await sendRequest('updateWindow', { windowId, ...props });
-    },
-
-    // --- Tab Events ---
-    async getTabEvents(clear) {
-      return await sendRequest('getTabEvents', { clear });
-    },
-
-    // --- Window Events ---
-    async getWindowEvents(clear) {
-      return await sendRequest('getWindowEvents', { clear });
-    },
-
-    // --- Extension Forwarding ---
-    async forwardToExtension(targetExtensionId, payload) {
-      return await sendRequest('forwardToExtension', { targetExtensionId, payload });
-    }
-  };
-
-  console.log('[DIRECT BRIDGE] API ready');
-})();
-`;
-document.documentElement.appendChild(script);
-script.remove();
-
 // All actions that route through the background script
 const BG_ACTIONS = new Set([
   'getTabs', 'getTabGroups', 'moveTab', 'pinTab', 'unpinTab',
@@ -171,40 +12,206 @@ const BG_ACTIONS = new Set([
   'createTab', 'closeTab', 'getTabById', 'updateTab',
   'waitForTabUrl', 'executeInTab', 'captureScreenshot',
   'createWindow', 'closeWindow', 'getWindows', 'getWindowById',
-  'updateWindow', 'getTabEvents', 'getWindowEvents'
+  'updateWindow', 'getTabEvents', 'getWindowEvents', 'registerChannel',
+  'connectSocket', 'subscribeEvents', 'getEvents', 'setEventBufferSize',
+  'getTabGroupEvents', 'getNavigationEvents', 'cancelRequest', 'batch',
+  'handshake', 'setAllowedOrigins', 'getStorageEvents', 'getConsoleMessages',
+  'getExtensionMessages', 'setExtensionReply', 'clearExtensionReplies',
+  'connectExtension', 'postToExtensionPort', 'getExtensionPort', 'disconnectExtensionPort'
 ]);
 
-// Listen for requests from page via postMessage
-window.addEventListener('message', async (event) => {
-  // Only accept messages from same window
-  if (event.source !== window) return;
-  if (!event.data || event.data.type !== 'bridge-request') return;
+// Errors carry the background script's error code (see errorResponse() there)
+function bridgeError(message, code, remoteStack, details) {
+  const error = new Error(message);
+  error.code = code;
+  error.remoteStack = remoteStack;
+  error.details = details;
+  return error;
+}
+
+// Sends a request to the background script. Requests other than ping only work when
+// they carry the session secret TestBridge got from the bridge's test-api.html.
+async function sendRequest(action, data) {
+  if (action === 'ping') {
+    return 'pong';
+  }
+  if (!BG_ACTIONS.has(action)) {
+    throw bridgeError('Unknown action: ' + action, 'UNKNOWN_ACTION');
+  }
 
-  const { id, action, data } = event.data;
+  // The background script enforces data.requestTimeout itself, this is a backstop
+  // in case it never answers. Calls without one get 15 seconds.
+  const timeout = data && data.requestTimeout ? data.requestTimeout + 2000 : 15000;
+  let timer;
+  const timedOut = new Promise((resolve, reject) => {
+    timer = setTimeout(() => reject(bridgeError('Request timed out', 'TIMEOUT')), timeout);
+  });
 
+  let bgResponse;
   try {
-    let response;
-
-    if (action === 'ping') {
-      response = 'pong';
-    } else if (BG_ACTIONS.has(action)) {
-      // Route through background script
-      const bgResponse = await browser.runtime.sendMessage({ action, ...data });
-      if (bgResponse && bgResponse.success) {
-        response = bgResponse.data;
-      } else if (bgResponse && bgResponse.error) {
-        throw new Error(bgResponse.error);
-      } else {
-        response = bgResponse;
+    bgResponse = await Promise.race([browser.runtime.sendMessage({ action, ...data }), timedOut]);
+  } catch (error) {
+    if (error.code) throw error;
+    // Usually the background script couldn't be reached at all.
+    console.error('[DIRECT BRIDGE] Error:', error);
+    throw bridgeError(error.message, 'NOT_READY', error.stack);
+  } finally {
+    clearTimeout(timer);
+  }
+
+  if (bgResponse && bgResponse.success) {
+    return bgResponse.data;
+  } else if (bgResponse && bgResponse.error) {
+    throw bridgeError(bgResponse.error, bgResponse.code, bgResponse.stack, bgResponse.details);
+  }
+  return bgResponse;
+}
+
+// Turns a request's outcome into the { success, data, error, code, ... } response
+// TestBridge reads.
+function toResponse(promise) {
+  return promise.then(
+    result => ({ success: true, data: result === undefined ? null : result }),
+    error => ({
+      success: false, error: error.message, code: error.code, stack: error.remoteStack, details: error.details
+    })
+  );
+}
+
+// Hands a promise to the page as one of its own, with the result or error cloned
+// into the page.
+function toPagePromise(promise) {
+  const page = window.wrappedJSObject;
+  return new page.Promise(exportFunction((resolve, reject) => {
+    promise.then(
+      (result) => resolve(cloneInto(result, window)),
+      (error) => {
+        const pageError = new page.Error(error.message);
+        pageError.code = error.code;
+        pageError.remoteStack = error.remoteStack;
+        pageError.details = cloneInto(error.details, window);
+        reject(pageError);
       }
-    } else {
-      throw new Error('Unknown action: ' + action);
+    );
+  }, window));
+}
+
+// The API the page sees as window.TestBridge. call() is the only way in: every action
+// but ping needs the session secret, which only TestBridge has.
+const pageApi = {
+  ping() {
+    return toPagePromise(sendRequest('ping'));
+  },
+
+  // TestBridge passes data as a JSON string and a respond callback, which gets the
+  // response as a JSON string too. Nothing but strings cross into the page that way,
+  // so page scripts can't pick the secret out of the request (for example with a
+  // setter on Object.prototype) or tamper with the result. Without respond, call()
+  // returns a promise.
+  call(action, data, respond) {
+    const pending = Promise.resolve()
+      .then(() => sendRequest(action, typeof data === 'string' ? JSON.parse(data) : data));
+    if (typeof respond !== 'function') {
+      return toPagePromise(pending);
     }
+    toResponse(pending).then(response => respond(JSON.stringify(response)));
+    return undefined;
+  }
+};
+
+// Only set once the background script says this origin may use the bridge.
+let pageApiAllowed = false;
+
+// Locks window.TestBridge onto the page. This runs at document_start, before any page
+// script, so the page can't get there first with an impostor; the property can't be
+// redefined and the API object is frozen, so it can't be wrapped to listen in on calls
+// either. Exporting functions instead of injecting a <script> keeps this working on
+// pages whose Content-Security-Policy blocks inline scripts.
+function lockPageApi() {
+  const page = window.wrappedJSObject;
+  const api = cloneInto({
+    ...pageApi,
+    // TestBridge opens this to get the session secret (see 'handshake').
+    testApiUrl: browser.runtime.getURL('test-api.html')
+  }, window, { cloneFunctions: true });
+  page.Object.freeze(api);
+
+  Object.defineProperty(page, 'TestBridge', {
+    get: exportFunction(() => (pageApiAllowed ? api : undefined), window),
+    enumerable: false,
+    configurable: false
+  });
+}
 
-    window.postMessage({ type: 'bridge-response', id, response }, '*');
+// Expose TestBridge API to the page, unless TestBridge restricted the bridge to other
+// origins (see 'setAllowedOrigins').
+async function injectPageApi() {
+  try {
+    const allowed = await browser.runtime.sendMessage({ action: 'checkOrigin' });
+    if (!allowed || !allowed.data) {
+      console.log('[DIRECT BRIDGE] Origin not allowed, skipping:', location.origin);
+      return;
+    }
   } catch (error) {
-    console.error('[DIRECT BRIDGE] Error:', error);
-    window.postMessage({ type: 'bridge-response', id, error: error.message }, '*');
+    console.error('[DIRECT BRIDGE] Could not check origin:', error);
+    return;
+  }
+
+  pageApiAllowed = true;
+  console.log('[DIRECT BRIDGE] API ready');
+}
+
+// Record the page's console output and uncaught errors with the background script
+// (see 'recordConsole'). This runs before the origin check so nothing logged early is
+// missed; the background script drops reports from origins the bridge isn't allowed on.
+const CONSOLE_LEVELS = ['log', 'info', 'warn', 'error', 'debug'];
+
+function formatConsoleArgs(args) {
+  return args.map((arg) => {
+    if (typeof arg === 'string') return arg;
+    try {
+      if (Object.prototype.toString.call(arg) === '[object Error]') return `${arg}\n${arg.stack}`;
+      return JSON.stringify(arg) ?? String(arg);
+    } catch (error) {
+      return String(arg);
+    }
+  }).join(' ');
+}
+
+function recordConsole(entry) {
+  browser.runtime.sendMessage({ action: 'recordConsole', url: location.href, ...entry }).catch(() => {});
+}
+
+function captureConsole() {
+  const pageConsole = window.wrappedJSObject.console;
+  for (const level of CONSOLE_LEVELS) {
+    const original = pageConsole[level];
+    exportFunction(function (...args) {
+      recordConsole({ level, source: 'page', message: formatConsoleArgs(args) });
+      return original.apply(this, args);
+    }, pageConsole, { defineAs: level });
+  }
+
+  window.addEventListener('error', (event) => {
+    const stack = event.error && typeof event.error === 'object' ? event.error.stack : null;
+    recordConsole({ level: 'exception', source: 'page', message: event.message, stack });
+  });
+  window.addEventListener('unhandledrejection', (event) => {
+    const reason = event.reason;
+    const stack = reason && typeof reason === 'object' ? reason.stack : null;
+    recordConsole({ level: 'exception', source: 'page', message: `Unhandled rejection: ${formatConsoleArgs([reason])}`, stack });
+  });
+
+}
+
+lockPageApi();
+captureConsole();
+injectPageApi();
+
+// Relay pushed events to the page (see 'subscribeEvents')
+browser.runtime.onMessage.addListener((message) => {
+  if (message && message.type === 'bridge-event') {
+    window.postMessage({ type: 'bridge-event', event: message.event }, '*');
   }
 });
 
@@ -7,7 +7,14 @@ console.log('[BRIDGE API] Initializing...');
 // Helper: send message to background and unwrap response
 async function bgCall(msg) {
   const response = await browser.runtime.sendMessage(msg);
-  if (!response.success) throw new Error(response.error);
+  if (!response.success) {
+    // Keep the background script's error code (see errorResponse() there)
+    const error = new Error(response.error);
+    error.code = response.code;
+    error.remoteStack = response.stack;
+    error.details = response.details;
+    throw error;
+  }
   return response.data;
 }
 
@@ -17,6 +24,24 @@ window.TestBridge = {
   async ping() {
     return await bgCall({ action: 'ping' });
   },
+  // Takes the same arguments as call() in direct-bridge.js: data may be a JSON string,
+  // and with respond the response goes to it as a JSON string instead of a promise.
+  call(action, data, respond) {
+    const pending = Promise.resolve()
+      .then(() => bgCall({ action, ...(typeof data === 'string' ? JSON.parse(data) : data) }));
+    if (typeof respond !== 'function') {
+      return pending;
+    }
+    pending
+      .then(
+        result => ({ success: true, data: result === undefined ? null : result }),
+        error => ({
+          success: false, error: error.message, code: error.code, stack: error.remoteStack, details: error.details
+        })
+      )
+      .then(response => respond(JSON.stringify(response)));
+    return undefined;
+  },
 
   // --- Tab Queries ---
   async getTabs() {
@@ -41,8 +66,8 @@ window.TestBridge = {
   },
 
   // --- Tab State ---
-  async moveTab(tabId, index) {
-    return await bgCall({ action: 'moveTab', tabId, index });
+  async moveTab(tabId, index, windowId) {
+    return await bgCall({ action: 'moveTab', tabId, index, windowId });
   },
   async pinTab(tabId) {
     return await bgCall({ action: 'pinTab', tabId });
@@ -110,18 +135,43 @@ window.TestBridge = {
   },
 
   // --- Tab Events ---
-  async getTabEvents(clear) {
-    return await bgCall({ action: 'getTabEvents', clear });
+  async getTabEvents(options) {
+    return await bgCall({ action: 'getTabEvents', ...(typeof options === 'object' ? options : { clear: options }) });
   },
 
   // --- Window Events ---
-  async getWindowEvents(clear) {
-    return await bgCall({ action: 'getWindowEvents', clear });
+  async getWindowEvents(options) {
+    return await bgCall({ action: 'getWindowEvents', ...(typeof options === 'object' ? options : { clear: options }) });
+  },
+
+  // --- Navigation Events ---
+  async getNavigationEvents(options) {
+    return await bgCall({ action: 'getNavigationEvents', ...(typeof options === 'object' ? options : { clear: options }) });
+  },
+
+  // --- Tab Group Events ---
+  async getTabGroupEvents(options) {
+    return await bgCall({ action: 'getTabGroupEvents', ...(typeof options === 'object' ? options : { clear: options }) });
+  },
+
+  // --- Storage Events ---
+  async getStorageEvents(options) {
+    return await bgCall({ action: 'getStorageEvents', ...(typeof options === 'object' ? options : { clear: options }) });
+  },
+
+  // --- Console Capture ---
+  async getConsoleMessages(options) {
+    return await bgCall({ action: 'getConsoleMessages', ...(typeof options === 'object' ? options : { clear: options }) });
   },
 
   // --- Extension Forwarding ---
   async forwardToExtension(targetExtensionId, payload) {
     return await bgCall({ action: 'forwardToExtension', targetExtensionId, payload });
+  },
+
+  // --- Extension Messages ---
+  async getExtensionMessages(extensionId, options) {
+    return await bgCall({ action: 'getExtensionMessages', ...(typeof options === 'object' ? options : { clear: options }), extensionId });
   }
 };
 
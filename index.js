@@ -1,10 +1,34 @@
-const { TestBridge } = require('./lib/test-bridge');
+const { TestBridge, batchResult } = require('./lib/test-bridge');
 const { sleep, generateTestUrl, getExtensionUrlForUuid, waitForCondition, TabUtils, Assert, TestResults, launchBrowser, cleanupBrowser, extensionDir } = require('./lib/test-helpers');
 const { createTestServer } = require('./lib/test-http-server');
+const { ExtensionPort } = require('./lib/extension-port');
+const { ExtensionView } = require('./lib/extension-view');
+const { ExtensionPopup } = require('./lib/extension-popup');
+const { ExtensionOptionsPage } = require('./lib/extension-options-page');
+const { ExtensionSidebar } = require('./lib/extension-sidebar');
+const {
+  BridgeError,
+  BridgeTimeoutError,
+  BridgeAbortError,
+  BridgeNotReadyError,
+  UnknownActionError,
+  ExtensionNotFoundError,
+  ExtensionError,
+  NotSupportedError,
+  BrowserApiError,
+  UnauthorizedError,
+  UncaughtExtensionError
+} = require('./lib/errors');
 const { Command } = require('selenium-webdriver/lib/command');
 
 module.exports = {
   TestBridge,
+  ExtensionPort,
+  ExtensionView,
+  ExtensionPopup,
+  ExtensionOptionsPage,
+  ExtensionSidebar,
+  batchResult,
   sleep,
   generateTestUrl,
   getExtensionUrlForUuid,
@@ -16,5 +40,16 @@ module.exports = {
   launchBrowser,
   cleanupBrowser,
   extensionDir,
-  Command
+  Command,
+  BridgeError,
+  BridgeTimeoutError,
+  BridgeAbortError,
+  BridgeNotReadyError,
+  UnknownActionError,
+  ExtensionNotFoundError,
+  ExtensionError,
+  NotSupportedError,
+  BrowserApiError,
+  UnauthorizedError,
+  UncaughtExtensionError
 };
@@ -0,0 +1,193 @@
+/**
+ * Minimal WebSocket server connection used by the bridge's WebSocket transport.
+ * Only supports what the bridge background script needs: text messages,
+ * ping/pong and close.
+ */
+
+const crypto = require('crypto');
+const { EventEmitter } = require('events');
+
+const WEBSOCKET_GUID = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11';
+
+const OPCODE_CONTINUATION = 0x0;
+const OPCODE_TEXT = 0x1;
+const OPCODE_BINARY = 0x2;
+const OPCODE_CLOSE = 0x8;
+const OPCODE_PING = 0x9;
+const OPCODE_PONG = 0xA;
+
+/**
+ * Decodes a single frame from the start of a buffer.
+ * @param {Buffer} buffer Received bytes
+ * @returns {Object|null} The frame ({ fin, opcode, payload, length }), or null if incomplete
+ */
+function decodeFrame(buffer) {
+  if (buffer.length < 2) return null;
+
+  const fin = (buffer[0] & 0x80) !== 0;
+  const opcode = buffer[0] & 0x0f;
+  const masked = (buffer[1] & 0x80) !== 0;
+  let payloadLength = buffer[1] & 0x7f;
+  let offset = 2;
+
+  if (payloadLength === 126) {
+    if (buffer.length < 4) return null;
+    payloadLength = buffer.readUInt16BE(2);
+    offset = 4;
+  } else if (payloadLength === 127) {
+    if (buffer.length < 10) return null;
+    payloadLength = Number(buffer.readBigUInt64BE(2));
+    offset = 10;
+  }
+
+  const maskOffset = offset;
+  if (masked) offset += 4;
+  if (buffer.length < offset + payloadLength) return null;
+
+  const payload = Buffer.from(buffer.subarray(offset, offset + payloadLength));
+  if (masked) {
+    for (let i = 0; i < payload.length; i++) {
+      payload[i] ^= buffer[maskOffset + (i % 4)];
+    }
+  }
+
+  return { fin, opcode, payload, length: offset + payloadLength };
+}
+
+/**
+ * Encodes a single unmasked (server to client) frame.
+ * @param {number} opcode The frame opcode
+ * @param {Buffer} payload The frame payload
+ * @returns {Buffer} The encoded frame
+ */
+function encodeFrame(opcode, payload) {
+  let header;
+  if (payload.length < 126) {
+    header = Buffer.from([0x80 | opcode, payload.length]);
+  } else if (payload.length < 65536) {
+    header = Buffer.alloc(4);
+    header[0] = 0x80 | opcode;
+    header[1] = 126;
+    header.writeUInt16BE(payload.length, 2);
+  } else {
+    header = Buffer.alloc(10);
+    header[0] = 0x80 | opcode;
+    header[1] = 127;
+    header.writeBigUInt64BE(BigInt(payload.length), 2);
+  }
+  return Buffer.concat([header, payload]);
+}
+
+/**
+ * BridgeSocket: An accepted WebSocket connection.
+ * Emits 'message' with each text message and 'close' once the connection ends.
+ */
+class BridgeSocket extends EventEmitter {
+  /**
+   * Wraps a socket that has completed the WebSocket handshake.
+   * @param {net.Socket} socket The upgraded socket
+   */
+  constructor(socket) {
+    super();
+    this.socket = socket;
+    this.open = true;
+    this.buffer = Buffer.alloc(0);
+    this.fragments = [];
+
+    socket.setNoDelay(true);
+    socket.on('data', (chunk) => this._onData(chunk));
+    socket.on('close', () => this._onClose());
+    socket.on('error', () => socket.destroy());
+  }
+
+  /**
+   * Sends a text message.
+   * @param {string} text The message to send
+   */
+  send(text) {
+    if (!this.open) {
+      throw new Error('WebSocket is closed');
+    }
+    this.socket.write(encodeFrame(OPCODE_TEXT, Buffer.from(text, 'utf8')));
+  }
+
+  /**
+   * Closes the connection.
+   */
+  close() {
+    if (!this.open) return;
+    this.socket.end(encodeFrame(OPCODE_CLOSE, Buffer.alloc(0)));
+    this._onClose();
+  }
+
+  _onData(chunk) {
+    this.buffer = Buffer.concat([this.buffer, chunk]);
+
+    let frame;
+    while (this.open && (frame = decodeFrame(this.buffer))) {
+      this.buffer = this.buffer.subarray(frame.length);
+      this._onFrame(frame);
+    }
+  }
+
+  _onFrame({ fin, opcode, payload }) {
+    switch (opcode) {
+      case OPCODE_CONTINUATION:
+      case OPCODE_TEXT:
+      case OPCODE_BINARY:
+        this.fragments.push(payload);
+        if (fin) {
+          const message = Buffer.concat(this.fragments).toString('utf8');
+          this.fragments = [];
+          this.emit('message', message);
+        }
+        break;
+
+      case OPCODE_CLOSE:
+        this.close();
+        break;
+
+      case OPCODE_PING:
+        this.socket.write(encodeFrame(OPCODE_PONG, payload));
+        break;
+
+      default:
+        // Pongs and reserved opcodes need no response.
+        break;
+    }
+  }
+
+  _onClose() {
+    if (!this.open) return;
+    this.open = false;
+    this.emit('close');
+  }
+}
+
+/**
+ * Completes the WebSocket handshake for an HTTP upgrade request.
+ * @param {http.IncomingMessage} req The upgrade request
+ * @param {net.Socket} socket The request's socket
+ * @returns {BridgeSocket|null} The connection, or null if the request was not a WebSocket upgrade
+ */
+function acceptWebSocket(req, socket) {
+  const key = req.headers['sec-websocket-key'];
+  if (!key || (req.headers.upgrade || '').toLowerCase() !== 'websocket') {
+    socket.end('HTTP/1.1 400 Bad Request\r\n\r\n');
+    return null;
+  }
+
+  const accept = crypto.createHash('sha1').update(key + WEBSOCKET_GUID).digest('base64');
+  socket.write([
+    'HTTP/1.1 101 Switching Protocols',
+    'Upgrade: websocket',
+    'Connection: Upgrade',
+    `Sec-WebSocket-Accept: ${accept}`,
+    '',
+    ''
+  ].join('\r\n'));
+
+  return new BridgeSocket(socket);
+}
+
+module.exports = { BridgeSocket, acceptWebSocket };
@@ -0,0 +1,136 @@
+/**
+ * Errors thrown by TestBridge.
+ * The bridge extension answers failed requests with { success: false, error, code },
+ * and each code maps to one of the classes below so tests can tell failures apart.
+ */
+
+/**
+ * BridgeError: Base class for every error thrown by a bridge call.
+ */
+class BridgeError extends Error {
+  /**
+   * Creates a bridge error.
+   * @param {string} message What went wrong
+   * @param {Object} options Optional extra information
+   * @param {string} options.code The error code; defaults to the class's code
+   * @param {Object} options.details Structured details, e.g. { targetExtensionId }
+   * @param {string} options.remoteStack The stack trace from inside the browser, if known
+   * @param {Error} options.cause The error that caused this one
+   */
+  constructor(message, { code, details = {}, remoteStack = null, cause } = {}) {
+    super(message, cause ? { cause } : undefined);
+    this.name = this.constructor.name;
+    this.code = code || this.constructor.code;
+    this.details = details;
+    this.remoteStack = remoteStack;
+    if (remoteStack) {
+      this.stack += `\nRemote stack:\n${remoteStack}`;
+    }
+  }
+}
+BridgeError.code = 'BRIDGE_ERROR';
+
+/**
+ * BridgeTimeoutError: The bridge didn't answer in time.
+ */
+class BridgeTimeoutError extends BridgeError {}
+BridgeTimeoutError.code = 'TIMEOUT';
+
+/**
+ * BridgeAbortError: The call was aborted through its AbortSignal.
+ */
+class BridgeAbortError extends BridgeError {}
+BridgeAbortError.code = 'ABORTED';
+
+/**
+ * BridgeNotReadyError: There's no working connection to the bridge extension, for
+ * example because the focused page can't host it or the socket closed.
+ */
+class BridgeNotReadyError extends BridgeError {}
+BridgeNotReadyError.code = 'NOT_READY';
+
+/**
+ * UnknownActionError: The bridge extension doesn't know the requested action.
+ */
+class UnknownActionError extends BridgeError {}
+UnknownActionError.code = 'UNKNOWN_ACTION';
+
+/**
+ * ExtensionNotFoundError: The target extension isn't installed, or isn't listening for messages.
+ */
+class ExtensionNotFoundError extends BridgeError {}
+ExtensionNotFoundError.code = 'EXTENSION_NOT_FOUND';
+
+/**
+ * ExtensionError: The target extension threw or rejected while handling a message.
+ */
+class ExtensionError extends BridgeError {}
+ExtensionError.code = 'EXTENSION_ERROR';
+
+/**
+ * NotSupportedError: The browser doesn't support what was asked, e.g. tab groups.
+ */
+class NotSupportedError extends BridgeError {}
+NotSupportedError.code = 'NOT_SUPPORTED';
+
+/**
+ * BrowserApiError: A WebExtension API call made by the bridge failed, e.g. an invalid tab ID.
+ */
+class BrowserApiError extends BridgeError {}
+BrowserApiError.code = 'BROWSER_ERROR';
+
+/**
+ * UnauthorizedError: The request didn't carry the session secret, or came from an origin
+ * the bridge isn't allowed on.
+ */
+class UnauthorizedError extends BridgeError {}
+UnauthorizedError.code = 'NOT_AUTHORIZED';
+
+/**
+ * UncaughtExtensionError: An extension watched with captureConsole({ failOnError: true })
+ * threw an uncaught error since the last bridge call.
+ */
+class UncaughtExtensionError extends BridgeError {}
+UncaughtExtensionError.code = 'UNCAUGHT_ERROR';
+
+const ERROR_CLASSES = [
+  BridgeTimeoutError,
+  BridgeAbortError,
+  BridgeNotReadyError,
+  UnknownActionError,
+  ExtensionNotFoundError,
+  ExtensionError,
+  NotSupportedError,
+  BrowserApiError,
+  UnauthorizedError,
+  UncaughtExtensionError
+];
+
+/**
+ * Builds the error for a failed bridge response.
+ * @param {Object} response A { success: false, error, code, stack, details } response
+ * @returns {BridgeError} An instance of the class matching the response's code
+ */
+function errorFromResponse(response) {
+  const ErrorClass = ERROR_CLASSES.find(c => c.code === response.code) || BridgeError;
+  return new ErrorClass(response.error || 'Unknown bridge error', {
+    code: response.code,
+    details: response.details,
+    remoteStack: response.stack
+  });
+}
+
+module.exports = {
+  BridgeError,
+  BridgeTimeoutError,
+  BridgeAbortError,
+  BridgeNotReadyError,
+  UnknownActionError,
+  ExtensionNotFoundError,
+  ExtensionError,
+  NotSupportedError,
+  BrowserApiError,
+  UnauthorizedError,
+  UncaughtExtensionError,
+  errorFromResponse
+};
@@ -0,0 +1,50 @@
+/**
+ * Node-side handle for an extension's open options page. Created by
+ * TestBridge.openOptionsPage().
+ */
+
+const { ExtensionView } = require('./extension-view');
+
+/**
+ * ExtensionOptionsPage: An open options page. Selenium is switched to the tab showing
+ * it, either the page itself or about:addons. An options page embedded in about:addons
+ * runs in a browser element Selenium can't switch into, so use evaluate() and the
+ * element helpers there; a page in its own tab can also be driven with Selenium.
+ */
+class ExtensionOptionsPage extends ExtensionView {
+  /**
+   * Wraps an extension's options page.
+   * @param {TestBridge} bridge The bridge that opened the page
+   * @param {Object} page { extensionId, url, inTab, handle, previousHandle,
+   *   previousFramePath, ownsTab }, where handle is the page's window handle,
+   *   previousHandle and previousFramePath the window and frame to switch back to and
+   *   ownsTab whether openOptionsPage() opened that tab
+   */
+  constructor(bridge, { extensionId, url, inTab, handle, previousHandle, previousFramePath = [], ownsTab }) {
+    super(bridge, extensionId, { url }, `The options page of ${extensionId}`);
+    this.url = url;
+    this.inTab = inTab;
+    this.handle = handle;
+    this.previousHandle = previousHandle;
+    this.previousFramePath = previousFramePath;
+    this.ownsTab = ownsTab;
+  }
+
+  /**
+   * Closes the tab showing the options page, unless it's an about:addons tab that was
+   * open before openOptionsPage(), and switches Selenium back to the window and frame
+   * the bridge was running in.
+   */
+  async close() {
+    const driver = this.bridge.driver;
+    const handles = await driver.getAllWindowHandles();
+    if (this.ownsTab && handles.includes(this.handle)) {
+      await driver.switchTo().window(this.handle);
+      await driver.close();
+    }
+    await driver.switchTo().window(this.previousHandle);
+    await this.bridge._restoreFrame(this.previousFramePath);
+  }
+}
+
+module.exports = { ExtensionOptionsPage };
@@ -0,0 +1,30 @@
+/**
+ * Node-side handle for an extension's open browser action popup. Created by
+ * TestBridge.openBrowserActionPopup().
+ */
+
+const { ExtensionView } = require('./extension-view');
+
+/**
+ * ExtensionPopup: An open popup. Popups live in a browser panel rather than a window,
+ * so Selenium can't switch into them.
+ */
+class ExtensionPopup extends ExtensionView {
+  /**
+   * Wraps an extension's popup.
+   * @param {TestBridge} bridge The bridge that opened the popup
+   * @param {string} extensionId The extension's ID
+   */
+  constructor(bridge, extensionId) {
+    super(bridge, extensionId, { viewType: 'popup' }, `The popup of ${extensionId}`);
+  }
+
+  /**
+   * Closes the popup.
+   */
+  async close() {
+    await this.bridge.closePopup();
+  }
+}
+
+module.exports = { ExtensionPopup };
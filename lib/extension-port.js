@@ -0,0 +1,81 @@
+/**
+ * Node-side handle for a runtime.connect() port the bridge extension holds open to
+ * another extension. Created by TestBridge.connectToExtension().
+ */
+
+/**
+ * ExtensionPort: A long-lived connection to an extension's runtime.onConnectExternal.
+ * Messages the extension posts back are queued in the bridge, per port, and read with
+ * getMessages() or waitForMessage().
+ */
+class ExtensionPort {
+  /**
+   * Wraps a port opened by the bridge extension.
+   * @param {TestBridge} bridge The bridge that opened the port
+   * @param {Object} port { portId, extensionId, name, seq }, where seq is the event
+   *   cursor just before the port was opened
+   */
+  constructor(bridge, { portId, extensionId, name, seq }) {
+    this.bridge = bridge;
+    this.portId = portId;
+    this.extensionId = extensionId;
+    this.name = name;
+    this.seq = seq;
+    this.nextIndex = 0;
+  }
+
+  /**
+   * Posts a message to the extension's end of the port.
+   * @param {*} message The JSON-serializable message
+   * @param {Object} callOptions Optional { timeout, signal } for this call
+   */
+  async postMessage(message, callOptions) {
+    await this.bridge._call('postToExtensionPort', { portId: this.portId, message }, callOptions);
+  }
+
+  /**
+   * Gets every message the extension has posted on this port, oldest first.
+   * @param {Object} callOptions Optional { timeout, signal } for this call
+   * @returns Array of messages
+   */
+  async getMessages(callOptions) {
+    const { messages } = await this.bridge._call('getExtensionPort', { portId: this.portId }, callOptions);
+    return messages;
+  }
+
+  /**
+   * Takes the next message from the port's queue, waiting for one if needed. Each
+   * message is only returned once, so repeated calls walk through the queue in order;
+   * messages that don't match the predicate are skipped.
+   * @param {Function} predicate Optional check called with (message)
+   * @param {*} timeout Maximum time to wait in milliseconds; defaults to 10000
+   * @param {Object} callOptions Optional { signal } that aborts the wait
+   * @returns The message, or null if timed out
+   */
+  async waitForMessage(predicate, timeout = 10000, { signal } = {}) {
+    const found = await this.bridge._waitForPortMessage(this.portId, this.nextIndex, predicate, timeout, signal);
+    if (!found) return null;
+    this.nextIndex = found.index + 1;
+    return found.message;
+  }
+
+  /**
+   * Checks whether the port is still open. Either end may disconnect it.
+   * @param {Object} callOptions Optional { timeout, signal } for this call
+   * @returns {boolean} False once the port has disconnected
+   */
+  async isConnected(callOptions) {
+    const { connected } = await this.bridge._call('getExtensionPort', { portId: this.portId, since: Number.MAX_SAFE_INTEGER }, callOptions);
+    return connected;
+  }
+
+  /**
+   * Disconnects the port. The extension's port.onDisconnect fires.
+   * @param {Object} callOptions Optional { timeout, signal } for this call
+   */
+  async disconnect(callOptions) {
+    await this.bridge._call('disconnectExtensionPort', { portId: this.portId, targetExtensionId: this.extensionId }, callOptions);
+  }
+}
+
+module.exports = { ExtensionPort };
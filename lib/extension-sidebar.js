@@ -0,0 +1,75 @@
+/**
+ * Node-side handle for an extension's open sidebar. Created by
+ * TestBridge.openSidebar().
+ */
+
+const { ExtensionView } = require('./extension-view');
+
+/**
+ * ExtensionSidebar: An open sidebar_action panel. The panel is a remote browser nested
+ * in the sidebar's own chrome document. Use evaluate() and the element helpers to run
+ * code in it, or switchTo() to drive it with Selenium.
+ */
+class ExtensionSidebar extends ExtensionView {
+  /**
+   * Wraps an extension's sidebar.
+   * @param {TestBridge} bridge The bridge that opened the sidebar
+   * @param {string} extensionId The extension's ID
+   */
+  constructor(bridge, extensionId) {
+    super(bridge, extensionId, { viewType: 'sidebar' }, `The sidebar of ${extensionId}`);
+    this.previousHandle = null;
+  }
+
+  /**
+   * Switches Selenium into the sidebar's document, so findElement() and friends act on
+   * the panel. This leaves Selenium in the chrome context, so bridge calls and the
+   * helpers above don't work until switchBack().
+   */
+  async switchTo() {
+    const { By } = require('selenium-webdriver');
+    const { Command } = require('selenium-webdriver/lib/command');
+    const driver = this.bridge.driver;
+
+    if (this.previousHandle === null) {
+      this.previousHandle = await driver.getWindowHandle();
+    }
+    await driver.execute(new Command('setContext').setParameter('context', 'chrome'));
+    try {
+      await driver.switchTo().defaultContent();
+      await driver.switchTo().frame(await driver.findElement(By.id('sidebar')));
+      await driver.switchTo().frame(await driver.findElement(By.id('webext-panels-browser')));
+    } catch (e) {
+      await this.switchBack();
+      throw e;
+    }
+  }
+
+  /**
+   * Switches Selenium back out of the sidebar to the window the bridge was running in.
+   * Does nothing unless switchTo() was called.
+   */
+  async switchBack() {
+    if (this.previousHandle === null) {
+      return;
+    }
+    const { Command } = require('selenium-webdriver/lib/command');
+    const driver = this.bridge.driver;
+    const previousHandle = this.previousHandle;
+    this.previousHandle = null;
+
+    await driver.switchTo().defaultContent();
+    await driver.execute(new Command('setContext').setParameter('context', 'content'));
+    await driver.switchTo().window(previousHandle);
+  }
+
+  /**
+   * Closes the sidebar, switching Selenium back out of it first.
+   */
+  async close() {
+    await this.switchBack();
+    await this.bridge.closeSidebar();
+  }
+}
+
+module.exports = { ExtensionSidebar };
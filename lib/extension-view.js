@@ -0,0 +1,114 @@
+/**
+ * Shared base for the Node-side handles of extension pages: ExtensionPopup,
+ * ExtensionOptionsPage and ExtensionSidebar.
+ */
+
+const { waitForCondition } = require('./test-helpers');
+const { BridgeTimeoutError } = require('./errors');
+
+/**
+ * ExtensionView: Base class for the extension page handles. Runs code and element
+ * lookups in the page's document through TestBridge._evaluateInView(), so it requires
+ * Firefox to be launched with `-remote-allow-system-access`.
+ */
+class ExtensionView {
+  /**
+   * Wraps an extension page.
+   * @param {TestBridge} bridge The bridge that opened the page
+   * @param {string} extensionId The extension's ID
+   * @param {Object} view Which page to run in: { viewType } or { url }
+   * @param {string} description The page, for error messages
+   */
+  constructor(bridge, extensionId, view, description) {
+    this.bridge = bridge;
+    this.extensionId = extensionId;
+    this.view = view;
+    this.description = description;
+  }
+
+  /**
+   * Runs a function in the page's document and returns its result.
+   * @param {Function|string} fn The function to run; may be async
+   * @param {...*} args JSON-serializable arguments for the function
+   * @returns The function's result, serialized as JSON
+   * @throws {NotSupportedError} If the page isn't open
+   * @throws {ExtensionError} If the function throws or rejects
+   */
+  async evaluate(fn, ...args) {
+    return await this.bridge._evaluateInView(this.extensionId, this.view, fn, args);
+  }
+
+  /**
+   * Waits for the page's document to finish loading.
+   * @param {number} timeout Maximum time to wait in milliseconds; defaults to 10000
+   * @throws {BridgeTimeoutError} If the page didn't open or load in time
+   */
+  async waitForLoad(timeout = 10000) {
+    const loaded = await waitForCondition(
+      async () => (await this.evaluate(() => document.readyState)) === 'complete',
+      timeout,
+      100
+    );
+    if (!loaded) {
+      throw new BridgeTimeoutError(`[TestBridge] ${this.description} didn't load within ${timeout}ms`);
+    }
+  }
+
+  /**
+   * Waits for an element to appear in the page.
+   * @param {string} selector A CSS selector
+   * @param {number} timeout Maximum time to wait in milliseconds; defaults to 5000
+   * @returns {boolean} True once the element exists, false if timed out
+   */
+  async waitForSelector(selector, timeout = 5000) {
+    const found = await waitForCondition(
+      () => this.evaluate(selector => document.querySelector(selector) !== null, selector),
+      timeout,
+      100
+    );
+    return Boolean(found);
+  }
+
+  /**
+   * Clicks an element in the page.
+   * @param {string} selector A CSS selector
+   * @throws {ExtensionError} If nothing matches the selector
+   */
+  async click(selector) {
+    await this.evaluate((selector) => {
+      const element = document.querySelector(selector);
+      if (!element) throw new Error(`No element matches ${selector}`);
+      element.click();
+    }, selector);
+  }
+
+  /**
+   * Sets the value of a form field in the page and fires its input and change events.
+   * @param {string} selector A CSS selector
+   * @param {*} value The new value
+   * @throws {ExtensionError} If nothing matches the selector
+   */
+  async setValue(selector, value) {
+    await this.evaluate((selector, value) => {
+      const element = document.querySelector(selector);
+      if (!element) throw new Error(`No element matches ${selector}`);
+      element.value = value;
+      element.dispatchEvent(new Event('input', { bubbles: true }));
+      element.dispatchEvent(new Event('change', { bubbles: true }));
+    }, selector, value);
+  }
+
+  /**
+   * Gets the text content of an element in the page.
+   * @param {string} selector A CSS selector
+   * @returns {string|null} The element's text, or null if nothing matches
+   */
+  async getText(selector) {
+    return await this.evaluate((selector) => {
+      const element = document.querySelector(selector);
+      return element ? element.textContent : null;
+    }, selector);
+  }
+}
+
+module.exports = { ExtensionView };
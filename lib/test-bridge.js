@@ -2,7 +2,15 @@
  * TestBridge: Selenium wrapper for the WebExt Bridge.
  */
 
+const crypto = require('crypto');
 const { sleep, generateTestUrl, getExtensionUrlForUuid } = require('./test-helpers');
+const {
+  BridgeError, BridgeTimeoutError, BridgeNotReadyError, BridgeAbortError, NotSupportedError, errorFromResponse
+} = require('./errors');
+const { ExtensionPort } = require('./extension-port');
+const { ExtensionPopup } = require('./extension-popup');
+const { ExtensionOptionsPage } = require('./extension-options-page');
+const { ExtensionSidebar } = require('./extension-sidebar');
 
 /**
  * Normalizes an extension ID into the format Firefox uses for chrome DOM element IDs.
@@ -14,10 +22,297 @@ function normalizeExtensionId(extensionId) {
   return extensionId.replace(/[{}@.]/g, '_');
 }
 
+/**
+ * Unwraps a { success, data, error, code } response from the bridge extension.
+ * @param {Object} response The response
+ * @returns The response's data
+ * @throws {BridgeError} The error matching the response's code, if it failed
+ */
+function unwrapResponse(response) {
+  if (!response.success) {
+    throw errorFromResponse(response);
+  }
+  return response.data;
+}
+
+/**
+ * Throws if a wait's AbortSignal has fired.
+ * @param {AbortSignal} signal The signal, if any
+ * @throws {BridgeAbortError} If the signal was aborted
+ */
+function throwIfAborted(signal) {
+  if (signal && signal.aborted) {
+    throw new BridgeAbortError('[TestBridge] Wait was aborted');
+  }
+}
+
+/**
+ * Sleeps like sleep(), but stops as soon as a wait's AbortSignal fires.
+ * @param {number} ms Milliseconds to sleep
+ * @param {AbortSignal} signal The signal, if any
+ * @throws {BridgeAbortError} If the signal was aborted
+ */
+async function sleepUnlessAborted(ms, signal) {
+  throwIfAborted(signal);
+  if (!signal) {
+    return await sleep(ms);
+  }
+
+  let onAbort;
+  let timer;
+  try {
+    await new Promise((resolve, reject) => {
+      onAbort = () => reject(new BridgeAbortError('[TestBridge] Wait was aborted'));
+      timer = setTimeout(resolve, ms);
+      signal.addEventListener('abort', onAbort, { once: true });
+    });
+  } finally {
+    clearTimeout(timer);
+    signal.removeEventListener('abort', onAbort);
+  }
+}
+
+/**
+ * Builds the subscription name for an event, e.g. 'tabCreated' or 'windowRemoved'.
+ * @param {Object} event An event with a kind ('tab', 'window', 'navigation') and type
+ * @returns {string} The event name
+ */
+function eventNameFor(event) {
+  return event.kind + event.type.charAt(0).toUpperCase() + event.type.slice(1);
+}
+
+/**
+ * Turns the argument of getTabEvents()/getWindowEvents() into an options object.
+ * Older callers pass a boolean meaning "clear after reading".
+ * @param {boolean|Object} options A clear flag or filter options
+ * @returns {Object} Filter options
+ */
+function eventOptions(options) {
+  return typeof options === 'object' && options !== null ? options : { clear: options };
+}
+
+/**
+ * Checks an event against event log filters. Mirrors filterEvents() in the background script.
+ * @param {Object} event The event, with its seq and type
+ * @param {Object} filter Filters: since, tabId, windowId, groupId, frameId, extensionId, types
+ * @returns {boolean} True if the event passes every filter that was given
+ */
+function eventMatches(event, { since, tabId, windowId, groupId, frameId, extensionId, types }) {
+  if (since !== undefined && since !== null && event.seq <= since) return false;
+  if (types && !types.includes(event.type)) return false;
+  if (tabId !== undefined && (event.tabId ?? event.tab?.id) !== tabId && !event.tabIds?.includes(tabId)) return false;
+  if (windowId !== undefined && (event.windowId ?? event.window?.id) !== windowId) return false;
+  if (groupId !== undefined && event.group?.id !== groupId) return false;
+  if (frameId !== undefined && event.frameId !== frameId) return false;
+  if (extensionId !== undefined && event.extensionId !== extensionId) return false;
+  return true;
+}
+
+/**
+ * Refers to an earlier step's result in TestBridge.batch().
+ * @param {number} index The index of the earlier step
+ * @param {string} path Optional dotted path into the result, e.g. 'id' or 'tabs.0.id'
+ * @returns {Object} A placeholder the background script replaces with the value
+ */
+function batchResult(index, path) {
+  return path ? { $result: index, path } : { $result: index };
+}
+
+/**
+ * Explains why the bridge content script isn't on a document.
+ * @param {Object} context The focused document: { url, isFrame }
+ * @param {string[]} allowedOrigins The origins the bridge is restricted to, if any
+ * @returns {Object} { reason, hostable }, where hostable means the content script
+ *   should run there and may just not have loaded yet
+ */
+function describeContext({ url, isFrame }, allowedOrigins) {
+  const scheme = url.slice(0, url.indexOf(':') + 1);
+  switch (scheme) {
+    case 'http:':
+    case 'https:':
+    case 'file:': {
+      const origin = new URL(url).origin;
+      if (allowedOrigins && !allowedOrigins.includes(origin)) {
+        return { reason: `its origin (${origin}) isn't in allowedOrigins`, hostable: false };
+      }
+      return { reason: `the bridge content script hasn't loaded on it`, hostable: true };
+    }
+    case 'data:':
+      return isFrame
+        ? { reason: 'data: frames only get the bridge when their parent page does', hostable: true }
+        : { reason: 'data: pages opened directly have no origin content scripts can match', hostable: false };
+    case 'about:':
+      return url === 'about:blank' && isFrame
+        ? { reason: 'about:blank frames only get the bridge when their parent page does', hostable: true }
+        : { reason: `about: pages don't run extension content scripts`, hostable: false };
+    case 'moz-extension:':
+      return { reason: `extension pages don't run content scripts`, hostable: false };
+    default:
+      return { reason: `${scheme} pages don't run extension content scripts`, hostable: false };
+  }
+}
+
+/**
+ * Frame script loaded into an extension page (its background page or popup) by
+ * _evaluateInView(). Never called in Node: it's stringified and runs in the page's process,
+ * where content, ChromeUtils and sendAsyncMessage are frame script globals. The
+ * Debugger evaluates in the page's own global, so top-level let/const bindings are
+ * visible and the extension's CSP doesn't block it.
+ * @param {Object} request { id, source, args } with the function source and JSON args
+ */
+function evaluateInExtensionPage({ id, source, args }) {
+  /* global content, ChromeUtils, sendAsyncMessage */
+  const reply = (response) => sendAsyncMessage('TestBridge:evaluated', { id, response });
+  const fail = (error) => reply({
+    success: false,
+    code: 'EXTENSION_ERROR',
+    error: String(error && error.message !== undefined ? error.message : error),
+    stack: error && error.stack
+  });
+
+  try {
+    const { addDebuggerToGlobal } = ChromeUtils.importESModule('resource://gre/modules/jsdebugger.sys.mjs');
+    addDebuggerToGlobal(globalThis);
+    const dbg = new Debugger();
+    const global = dbg.addDebuggee(content);
+    const completion = global.executeInGlobal(
+      `Promise.resolve((${source}).apply(null, ${args}))` +
+      '.then((result) => JSON.stringify(result === undefined ? null : result))'
+    );
+    dbg.removeAllDebuggees();
+
+    if (!completion || completion.throw) {
+      fail(completion ? completion.throw.unsafeDereference() : 'Evaluation was terminated');
+      return;
+    }
+    completion.return.unsafeDereference().then(
+      (json) => reply({ success: true, data: json }),
+      fail
+    );
+  } catch (error) {
+    fail(error);
+  }
+}
+
+/**
+ * Records an extension's console output with the bridge, set up by captureConsole().
+ * Never called in Node: it's stringified and run in the extension's background page,
+ * where it also registers itself as a content script. Both message the bridge directly,
+ * so the bridge knows from the sender which extension (and tab) a report came from.
+ * @param {string} bridgeId The bridge extension's ID
+ * @param {string} source 'background' or 'contentScript'
+ */
+function instrumentExtensionConsole(bridgeId, source) {
+  if (globalThis.__testBridgeConsole) return;
+  globalThis.__testBridgeConsole = true;
+
+  const report = (level, message, stack) => {
+    browser.runtime.sendMessage(bridgeId, { type: 'bridge-console', level, message, stack, url: location.href })
+      .catch(() => {});
+  };
+  const format = (args) => args.map((arg) => {
+    if (typeof arg === 'string') return arg;
+    if (arg instanceof Error) return `${arg}\n${arg.stack}`;
+    try {
+      return JSON.stringify(arg) ?? String(arg);
+    } catch (error) {
+      return String(arg);
+    }
+  }).join(' ');
+
+  for (const level of ['log', 'info', 'warn', 'error', 'debug']) {
+    const original = console[level];
+    console[level] = (...args) => {
+      report(level, format(args));
+      return original.apply(console, args);
+    };
+  }
+
+  if (source === 'background') {
+    addEventListener('error', (event) => {
+      report('exception', event.message, event.error && event.error.stack);
+    });
+    addEventListener('unhandledrejection', (event) => {
+      report('exception', `Unhandled rejection: ${format([event.reason])}`, event.reason && event.reason.stack);
+    });
+    if (browser.contentScripts) {
+      browser.contentScripts.register({
+        js: [{ code: `(${instrumentExtensionConsole})(${JSON.stringify(bridgeId)}, 'contentScript')` }],
+        matches: ['<all_urls>'],
+        allFrames: true,
+        runAt: 'document_start'
+      }).then(registered => { globalThis.__testBridgeConsoleScript = registered; }, () => {});
+    }
+  }
+}
+
+// Batch steps may use TestBridge method names where the background action is named differently.
+const BATCH_ACTION_ALIASES = {
+  sendToExtension: 'forwardToExtension'
+};
+
+// Storage areas the extension storage helpers work with.
+const STORAGE_AREAS = ['local', 'sync', 'session'];
+
+// Shorthands for captureChromeScreenshot({ element })
+const CHROME_SCREENSHOT_REGIONS = {
+  toolbar: '#nav-bar',
+  urlbar: '#urlbar',
+  tabs: '#TabsToolbar'
+};
+
+// How often to poll for events when no push transport is connected.
+const EVENT_POLL_INTERVAL = 250;
+
+// How long ensureReady() waits for the content script on a page it should run on.
+const CONTENT_SCRIPT_WAIT = 2000;
+
+// Default time a bridge call may take, and the extra time Node and the page relay
+// allow on top of it so the background script's own timeout error arrives first.
+const DEFAULT_CALL_TIMEOUT = 15000;
+const CALL_TIMEOUT_MARGIN = 2000;
+
 class TestBridge {
-  constructor(driver) {
+  /**
+   * Creates a TestBridge instance.
+   * @param {*} driver The Selenium WebDriver instance
+   * @param {Object} options Configuration options
+   * @param {string} options.channel Where bridge calls run: 'page' (default) uses whichever
+   *   page Selenium is focused on, 'window' keeps a dedicated bridge window open and
+   *   relays every call through it. In 'page' mode the bridge window is opened on
+   *   test-api.html the first time a call is made from a page the bridge can't inject into.
+   * @param {number} options.callTimeout Default timeout for each bridge call in milliseconds;
+   *   defaults to 15000
+   * @param {string[]} options.allowedOrigins Only pages from these origins (e.g.
+   *   'http://127.0.0.1:8080') get the bridge; defaults to every page
+   * @param {string} options.secret The session secret of another TestBridge for the same
+   *   browser, see `secret`. The first bridge to call init() is handed a new one.
+   */
+  constructor(driver, options = {}) {
     this.driver = driver;
     this.ready = false;
+    this.channel = options.channel || 'page';
+    this.channelHandle = null;
+    this.channelWindowId = null;
+    this.channelQueue = Promise.resolve();
+    this.callTimeout = options.callTimeout || DEFAULT_CALL_TIMEOUT;
+    this.secret = options.secret || null;
+    this.testApiUrl = null;
+    this.bridgeExtensionId = null;
+    this.allowedOrigins = options.allowedOrigins || null;
+    this.scriptTimeout = null;
+    this.socket = null;
+    this.socketRequests = new Map();
+    this.socketRequestId = 0;
+    this.bidi = null;
+    this.bidiContext = null;
+    this.bidiRequests = new Map();
+    this.bidiRequestId = 0;
+    this.bidiMessageListener = null;
+    this.eventListeners = new Map();
+    this.lastEventSeq = null;
+    this.eventDelivery = Promise.resolve();
+    this.pollingEvents = false;
   }
 
   //////////
@@ -26,15 +321,24 @@ class TestBridge {
 
   /**
    * Initialize the test bridge by navigating to a page where it can inject.
+   * In 'window' channel mode this opens the dedicated bridge window instead,
+   * leaving the focused page alone.
    */
   async init() {
     try {
+      if (this.channel === 'window') {
+        await this._openChannel();
+        this.ready = true;
+        return;
+      }
+
       // Check if we already have a window with TestBridge ready.
       const handles = await this.driver.getAllWindowHandles();
 
       if (handles.length > 0) {
         // Try existing windows.
         for (const handle of handles) {
+          if (handle === this.channelHandle) continue;
           try {
             await this.driver.switchTo().window(handle);
             const hasTestBridge = await this.driver.executeScript(() => {
@@ -42,6 +346,7 @@ class TestBridge {
             });
 
             if (hasTestBridge) {
+              await this._handshake();
               console.log('[TestBridge] Found existing window with TestBridge');
               this.ready = true;
               return;
@@ -54,21 +359,8 @@ class TestBridge {
       }
 
       // No existing window with TestBridge so we'll create one.
-      const url = generateTestUrl('testbridge-init');
-      console.log(`[TestBridge] Navigating to ${url}`);
-      await this.driver.get(url);
-
-      // Wait for TestBridge to load.
-      await this.driver.wait(async () => {
-        try {
-          return await this.driver.executeScript(() => {
-            return typeof window.TestBridge !== 'undefined';
-          });
-        } catch (e) {
-          return false;
-        }
-      }, 20000, `[TestBridge] Timed out waiting for the bridge content script to inject on ${url}. ` +
-        'Make sure createTestServer() is running (or run your weberver on port 8080).');
+      await this._loadBridgePage(generateTestUrl('testbridge-init'));
+      await this._handshake();
 
       this.ready = true;
     } catch (error) {
@@ -78,232 +370,1929 @@ class TestBridge {
   }
 
   /**
-   * Ensures the test bridge is ready, initializes if not.
-   * @throws {Error} If the current page is not an HTTP/HTTPS page.
+   * Navigates the focused tab to a URL and waits for the bridge content script.
+   * @param {string} url An HTTP URL on the test server, or the bridge's test-api.html
    */
-  async ensureReady() {
-    if (!this.ready) {
-      await this.init();
+  async _loadBridgePage(url) {
+    console.log(`[TestBridge] Navigating to ${url}`);
+    await this.driver.get(url);
+
+    // Wait for TestBridge to load.
+    await this.driver.wait(async () => {
+      try {
+        return await this.driver.executeScript(() => {
+          return typeof window.TestBridge !== 'undefined';
+        });
+      } catch (e) {
+        return false;
+      }
+    }, 20000, `[TestBridge] Timed out waiting for the bridge content script to inject on ${url}. ` +
+      'Make sure createTestServer() is running (or run your weberver on port 8080).');
+  }
+
+  /**
+   * Opens the dedicated bridge window used in 'window' channel mode, then
+   * returns Selenium focus to wherever it was. Reuses the window if it's still open.
+   * @param {string} url The bridge page to load in it; defaults to a test server page
+   */
+  async _openChannel(url = generateTestUrl('testbridge-channel')) {
+    let previous = null;
+    try {
+      previous = await this.driver.getWindowHandle();
+    } catch (e) {
+      // The focused window was closed; there's nothing to return to.
+    }
+    const framePath = previous ? await this._getFramePath() : [];
+
+    const handles = await this.driver.getAllWindowHandles();
+    if (this.channelHandle && handles.includes(this.channelHandle)) {
       return;
     }
 
-    // Verify the current page can host the bridge content script.
-    const currentUrl = await this.driver.getCurrentUrl();
-    if (!currentUrl.startsWith('http://') && !currentUrl.startsWith('https://')) {
-      this.ready = false;
-      throw new Error(
-        `[TestBridge] The current page (${currentUrl}) is not an HTTP/HTTPS ` +
-        `webpage. Call bridge.init() to re-establish the connection.`
-      );
+    await this.driver.switchTo().newWindow('window');
+    this.channelHandle = await this.driver.getWindowHandle();
+
+    try {
+      await this._loadBridgePage(url);
+      await this._handshake();
+
+      // Tell the background script which window is ours so "current window"
+      // queries skip it while Selenium is focused here.
+      const channelTab = await this._executeOnPage('registerChannel', { bridgeSecret: this.secret });
+      this.channelWindowId = channelTab.windowId;
+      console.log(`[TestBridge] Opened bridge channel window ${this.channelWindowId}`);
+    } finally {
+      if (previous) {
+        await this.driver.switchTo().window(previous);
+        await this._restoreFrame(framePath);
+      }
     }
   }
 
   /**
-   * Will respond with "pong" status.
-   * @returns Status
+   * Closes the bridge window, keeping Selenium focused where it was.
    */
-  async ping() {
-    await this.ensureReady();
-    return await this.driver.executeScript(() => {
-      return window.TestBridge.ping();
-    });
+  async _closeChannel() {
+    let previous = null;
+    try {
+      previous = await this.driver.getWindowHandle();
+    } catch (e) {
+      // The focused window was closed; there's nothing to return to.
+    }
+    const framePath = previous && previous !== this.channelHandle ? await this._getFramePath() : [];
+
+    try {
+      await this.driver.switchTo().window(this.channelHandle);
+      await this.driver.close();
+    } catch (e) {
+      // The window is already gone.
+    }
+    if (previous && previous !== this.channelHandle) {
+      await this.driver.switchTo().window(previous);
+      await this._restoreFrame(framePath);
+    } else {
+      // Selenium was on the bridge window itself; move it to one that's still open.
+      const handles = await this.driver.getAllWindowHandles();
+      if (handles.length > 0) {
+        await this.driver.switchTo().window(handles[0]);
+      }
+    }
+    this.channelHandle = null;
+    this.channelWindowId = null;
   }
 
   /**
-   * Resets the bridge connection by navigating to an HTTP page and
-   * re-initializing. Useful after visiting extension pages or about: pages.
+   * Finds the frame Selenium is focused on, as the frame indexes leading to it from
+   * the top-level page. Switching windows always lands on the top-level page, so
+   * this is what gets Selenium back into the frame afterwards.
+   * @returns {number[]} Frame indexes, empty for the top-level page
    */
-  async reset() {
-    const url = generateTestUrl('bridge-reset');
-    await this.driver.get(url);
-    await sleep(500);
-    await this.init();
+  async _getFramePath() {
+    try {
+      return await this.driver.executeScript(() => {
+        const path = [];
+        let win = window;
+        while (win !== win.parent) {
+          const parent = win.parent;
+          let index = -1;
+          for (let i = 0; i < parent.frames.length; i++) {
+            if (parent.frames[i] === win) {
+              index = i;
+              break;
+            }
+          }
+          if (index < 0) {
+            return [];
+          }
+          path.unshift(index);
+          win = parent;
+        }
+        return path;
+      });
+    } catch (e) {
+      // Pages that don't allow scripts can't have put Selenium in a frame either.
+      return [];
+    }
   }
 
   /**
-   * Takes a screenshot.
-   * @param {*} format Optional format; defaults to PNG
-   * @returns The requested screenshot
+   * Switches Selenium back into the frame found by _getFramePath().
+   * @param {number[]} path Frame indexes from the top-level page
    */
-  async captureScreenshot(format) {
-    await this.ensureReady();
-    return await this.driver.executeScript((f) => {
-      return window.TestBridge.captureScreenshot(f);
-    }, format);
+  async _restoreFrame(path) {
+    for (const index of path) {
+      await this.driver.switchTo().frame(index);
+    }
   }
 
   /**
-   * Returns the UUIDs of all installed extensions from about:config.
-   * Navigates away from the current page and marks the bridge as not ready.
-   * @returns An object mapping extension IDs to their internal UUIDs
+   * Confirms the session secret with the background script on the focused bridge page,
+   * getting one first if we don't have it yet, then restricts the bridge to
+   * allowedOrigins if set. Pages can only use the bridge with the secret.
    */
-  async _getExtensionUuids() {
-    await this.driver.get('about:config');
-    await sleep(500);
+  async _handshake() {
+    if (!this.secret) {
+      this.secret = await this._requestSecret();
+    }
+    const { testApiUrl, extensionId } = await this._executeOnPage('handshake', { bridgeSecret: this.secret });
+    this.testApiUrl = testApiUrl;
+    this.bridgeExtensionId = extensionId;
+    if (this.allowedOrigins) {
+      await this._executeOnPage('setAllowedOrigins', {
+        origins: this.allowedOrigins,
+        bridgeSecret: this.secret
+      });
+    }
+  }
 
-    // Accept warning (if shown.)
+  /**
+   * Gets a new session secret from the bridge's own test-api.html, in a tab opened just
+   * for that. The background script only hands the secret out there, and only once;
+   * web pages can't script that page, so they never see it.
+   * @returns {string} The secret
+   */
+  async _requestSecret() {
+    const testApiUrl = await this.driver.executeScript(() => window.TestBridge.testApiUrl);
+    if (!testApiUrl) {
+      // Only the content script's API has it, so we're on test-api.html already.
+      const { secret } = await this._executeOnPage('handshake', {});
+      return secret;
+    }
+
+    const previous = await this.driver.getWindowHandle();
+    await this.driver.switchTo().newWindow('tab');
     try {
-      await this.driver.executeScript(() => {
-        const btn = document.getElementById('warningButton');
-        if (btn) btn.click();
-      });
-      await sleep(300);
+      await this._loadBridgePage(testApiUrl);
+      const { secret } = await this._executeOnPage('handshake', {});
+      return secret;
+    } finally {
+      await this.driver.close();
+      await this.driver.switchTo().window(previous);
+    }
+  }
+
+  /**
+   * Runs a function with Selenium focused on the bridge page. Once the bridge window
+   * is open ('window' channel mode, or the test-api.html fallback in 'page' mode) this
+   * switches to it and back again afterwards.
+   * @param {Function} fn Async function to run
+   * @returns The function's result
+   */
+  async _onChannel(fn) {
+    if (!this.channelHandle) {
+      return await fn();
+    }
+
+    // Calls can overlap (event polling runs alongside the test) and each one
+    // moves Selenium's focus, so run them one at a time.
+    const run = this.channelQueue.then(() => this._switchToChannel(fn));
+    this.channelQueue = run.catch(() => {});
+    return await run;
+  }
+
+  /**
+   * Switches Selenium to the bridge window, runs a function and switches back.
+   * @param {Function} fn Async function to run
+   * @returns The function's result
+   */
+  async _switchToChannel(fn) {
+    let previous = null;
+    try {
+      previous = await this.driver.getWindowHandle();
     } catch (e) {
-      // We expect an error if there's no warning.
+      // The focused window was closed; stay on the channel afterwards.
     }
 
-    const uuidsJson = await this.driver.executeScript(() => {
-      return Services.prefs.getStringPref('extensions.webextensions.uuids', '{}');
+    if (previous === this.channelHandle) {
+      return await fn();
+    }
+
+    const framePath = previous ? await this._getFramePath() : [];
+    await this.driver.switchTo().window(this.channelHandle);
+    try {
+      return await fn();
+    } finally {
+      if (previous) {
+        try {
+          await this.driver.switchTo().window(previous);
+          await this._restoreFrame(framePath);
+        } catch (e) {
+          // The call closed the window (or frame) Selenium was focused on.
+        }
+      }
+    }
+  }
+
+  /**
+   * Sends an action to the bridge background script. The timeout travels with the
+   * request, so the background script gives up on it (and stops any wait loop) too.
+   * @param {string} action The action name handled by the background script
+   * @param {Object} data Parameters for the action
+   * @param {Object} options Per-call options
+   * @param {number} options.timeout Milliseconds the call may take; defaults to this.callTimeout
+   * @param {AbortSignal} options.signal Aborts the call. The background script is told
+   *   right away on the WebSocket and BiDi transports; with executeScript() it stops
+   *   at the timeout instead, since Selenium can't send anything while the call runs.
+   * @returns The action's result
+   */
+  async _call(action, data = {}, options = {}) {
+    const { timeout = this.callTimeout, signal } = options;
+    if (signal && signal.aborted) {
+      throw new BridgeAbortError(`[TestBridge] '${action}' was aborted`);
+    }
+
+    const request = {
+      ...data,
+      requestId: crypto.randomUUID(),
+      requestTimeout: timeout,
+      bridgeSecret: this.secret
+    };
+    const pending = this._send(action, request, timeout);
+    if (!signal) {
+      return await pending;
+    }
+
+    return await new Promise((resolve, reject) => {
+      const onAbort = () => {
+        reject(new BridgeAbortError(`[TestBridge] '${action}' was aborted`));
+        this._cancelRequest(request.requestId);
+      };
+      signal.addEventListener('abort', onAbort, { once: true });
+      pending.then(
+        (result) => {
+          signal.removeEventListener('abort', onAbort);
+          resolve(result);
+        },
+        (error) => {
+          signal.removeEventListener('abort', onAbort);
+          reject(error);
+        }
+      );
+    });
+  }
+
+  /**
+   * Sends a request over whichever transport is active.
+   * @param {string} action The action name handled by the background script
+   * @param {Object} request Parameters for the action, with requestId and requestTimeout
+   * @param {number} timeout Milliseconds the call may take
+   * @returns The action's result
+   */
+  async _send(action, request, timeout) {
+    if (this.socket) {
+      return await this._callOverSocket(action, request, timeout);
+    }
+    if (this.bidi) {
+      return await this._callOverBidi(action, request, timeout);
+    }
+
+    await this.ensureReady();
+    await this._ensureScriptTimeout(timeout + CALL_TIMEOUT_MARGIN * 2);
+    return await this._onChannel(() => this._executeOnPage(action, request));
+  }
+
+  /**
+   * Sends an action through window.TestBridge on the page Selenium is focused on.
+   * @param {string} action The action name handled by the background script
+   * @param {Object} data Parameters for the action, including bridgeSecret
+   * @returns The action's result
+   */
+  async _executeOnPage(action, data) {
+    let response;
+    try {
+      // The request goes in and the response (errors included) comes back as JSON
+      // strings, so the page has nothing to read the secret from or tamper with.
+      response = await this.driver.executeAsyncScript((a, d, done) => {
+        window.TestBridge.call(a, d, done);
+      }, action, JSON.stringify(data));
+    } catch (error) {
+      if (error.name === 'ScriptTimeoutError') {
+        throw new BridgeTimeoutError(`[TestBridge] '${action}' timed out`, { cause: error });
+      }
+      throw error;
+    }
+    return unwrapResponse(JSON.parse(response));
+  }
+
+  /**
+   * Raises Selenium's script timeout so executeScript() doesn't give up before the bridge does.
+   * @param {number} timeout The script timeout needed, in milliseconds
+   */
+  async _ensureScriptTimeout(timeout) {
+    if (this.scriptTimeout === null) {
+      // A null script timeout means scripts never time out.
+      this.scriptTimeout = (await this.driver.manage().getTimeouts()).script ?? Infinity;
+    }
+    if (this.scriptTimeout < timeout) {
+      await this.driver.manage().setTimeouts({ script: timeout });
+      this.scriptTimeout = timeout;
+    }
+  }
+
+  /**
+   * Tells the background script to stop working on an aborted request. Only
+   * possible on the WebSocket and BiDi transports.
+   * @param {string} requestId The aborted request's ID
+   */
+  _cancelRequest(requestId) {
+    let cancelled = null;
+    if (this.socket) {
+      cancelled = this._callOverSocket('cancelRequest', { requestId }, this.callTimeout);
+    } else if (this.bidi) {
+      cancelled = this._callOverBidi('cancelRequest', { requestId, bridgeSecret: this.secret }, this.callTimeout);
+    }
+    if (cancelled) {
+      cancelled.catch((error) => {
+        console.log(`  [TestBridge] Could not cancel request: ${error.message}`);
+      });
+    }
+  }
+
+  /**
+   * Sends an action over the WebSocket transport.
+   * @param {string} action The action name handled by the background script
+   * @param {Object} data Parameters for the action
+   * @param {number} timeout Milliseconds to wait for the response
+   * @returns The action's result
+   */
+  _callOverSocket(action, data, timeout) {
+    return new Promise((resolve, reject) => {
+      const id = ++this.socketRequestId;
+      const timer = setTimeout(() => {
+        this.socketRequests.delete(id);
+        reject(new BridgeTimeoutError(`[TestBridge] '${action}' timed out after ${timeout} ms`));
+      }, timeout + CALL_TIMEOUT_MARGIN);
+      this.socketRequests.set(id, { resolve, reject, timer });
+      try {
+        this.socket.send(JSON.stringify({ id, action, data }));
+      } catch (error) {
+        clearTimeout(timer);
+        this.socketRequests.delete(id);
+        reject(new BridgeNotReadyError(`[TestBridge] Couldn't send '${action}' over the WebSocket: ${error.message}`,
+          { cause: error }));
+      }
     });
+  }
+
+  /**
+   * Handles a message from the bridge background script on the WebSocket transport.
+   * @param {string} text The raw message
+   */
+  _onSocketMessage(text) {
+    const message = JSON.parse(text);
+    if (message.type === 'event') {
+      this._receiveEvent(message.event);
+      return;
+    }
+
+    const pending = this.socketRequests.get(message.id);
+    if (!pending) return;
+
+    this.socketRequests.delete(message.id);
+    clearTimeout(pending.timer);
+    if (message.success) {
+      pending.resolve(message.data);
+    } else {
+      pending.reject(errorFromResponse(message));
+    }
+  }
+
+  /**
+   * Sends a WebDriver BiDi command and unwraps its result.
+   * @param {string} method The BiDi method, e.g. 'script.callFunction'
+   * @param {Object} params The method's parameters
+   * @returns The command's result
+   * @throws {BridgeTimeoutError} If the browser doesn't answer in time
+   * @throws {BridgeNotReadyError} If the BiDi connection or the bridge tab is gone
+   */
+  async _bidiCommand(method, params) {
+    let response;
+    try {
+      response = await this.bidi.send({ method, params });
+    } catch (error) {
+      if (/timed out/.test(error.message)) {
+        throw new BridgeTimeoutError(`[TestBridge] BiDi ${method} timed out`, { cause: error });
+      }
+      throw new BridgeNotReadyError(`[TestBridge] BiDi ${method} failed: ${error.message}`, { cause: error });
+    }
+    if (response.type === 'error') {
+      const message = `[TestBridge] BiDi ${method} failed: ${response.error}: ${response.message}`;
+      if (response.error === 'no such frame') {
+        throw new BridgeNotReadyError(message);
+      }
+      throw new BridgeError(message);
+    }
+    return response.result;
+  }
+
+  /**
+   * Sends an action through the bridge page owned by the BiDi transport. The page
+   * answers with a script message instead of a command result, so long waits aren't
+   * cut short by Selenium's own BiDi command timeout.
+   * @param {string} action The action name handled by the background script
+   * @param {Object} data Parameters for the action
+   * @param {number} timeout Milliseconds to wait for the response
+   * @returns The action's result
+   */
+  _callOverBidi(action, data, timeout) {
+    return new Promise((resolve, reject) => {
+      const id = ++this.bidiRequestId;
+      const timer = setTimeout(() => {
+        this.bidiRequests.delete(id);
+        reject(new BridgeTimeoutError(`[TestBridge] '${action}' timed out after ${timeout} ms`));
+      }, timeout + CALL_TIMEOUT_MARGIN);
+      this.bidiRequests.set(id, { resolve, reject, timer });
+
+      // Responses travel as JSON strings, prefixed with the request's id, so we don't
+      // have to unpack BiDi remote values.
+      this._bidiCommand('script.callFunction', {
+        functionDeclaration: `(id, action, data, respond) => {
+          window.TestBridge.call(action, data, response => respond(id + ' ' + response));
+        }`,
+        arguments: [
+          { type: 'number', value: id },
+          { type: 'string', value: action },
+          { type: 'string', value: JSON.stringify(data) },
+          { type: 'channel', value: { channel: 'bridge-responses' } }
+        ],
+        target: { context: this.bidiContext },
+        awaitPromise: false,
+        resultOwnership: 'none'
+      }).then((result) => {
+        if (result.type === 'exception') {
+          throw new BridgeError(`[TestBridge] '${action}' failed in the BiDi bridge tab: ${result.exceptionDetails.text}`);
+        }
+      }).catch((error) => {
+        if (this.bidiRequests.delete(id)) {
+          clearTimeout(timer);
+          reject(error);
+        }
+      });
+    });
+  }
+
+  /**
+   * Handles a raw WebDriver BiDi message, picking out responses and events sent by
+   * the bridge page.
+   * @param {string} text The raw message
+   */
+  _onBidiMessage(text) {
+    const message = JSON.parse(text);
+    if (message.method !== 'script.message') return;
+    if (message.params.source.context !== this.bidiContext || message.params.data.type !== 'string') return;
+
+    if (message.params.channel === 'bridge-responses') {
+      const text = message.params.data.value;
+      const id = Number(text.slice(0, text.indexOf(' ')));
+      const pending = this.bidiRequests.get(id);
+      if (!pending) return;
+      this.bidiRequests.delete(id);
+      clearTimeout(pending.timer);
+      try {
+        pending.resolve(unwrapResponse(JSON.parse(text.slice(text.indexOf(' ') + 1))));
+      } catch (error) {
+        pending.reject(error);
+      }
+    } else if (message.params.channel === 'bridge-events') {
+      this._receiveEvent(JSON.parse(message.params.data.value));
+    }
+  }
+
+  /**
+   * Ensures the test bridge is ready, initializes if not. In 'page' mode, pages that
+   * can't host the bridge make it open test-api.html in the bridge window.
+   * @throws {BridgeNotReadyError} If the focused page or frame can't use the bridge and
+   *   there's no fallback; details.reason says why.
+   */
+  async ensureReady() {
+    if (!this.ready) {
+      await this.init();
+      return;
+    }
+
+    // The dedicated channel doesn't care where Selenium is focused, only
+    // that the bridge window is still open.
+    if (this.channel === 'window') {
+      const handles = await this.driver.getAllWindowHandles();
+      if (!handles.includes(this.channelHandle)) {
+        this.ready = false;
+        await this.init();
+      }
+      return;
+    }
+
+    // The test-api.html fallback window, once open, works wherever Selenium is focused.
+    if (this.channelHandle) {
+      const handles = await this.driver.getAllWindowHandles();
+      if (handles.includes(this.channelHandle)) {
+        return;
+      }
+      this.channelHandle = null;
+      this.channelWindowId = null;
+    }
+
+    const context = await this._getFocusedContext();
+    if (context.hasBridge) {
+      return;
+    }
+
+    // Give the content script a moment on pages it runs on, it may still be loading.
+    const { reason, hostable } = describeContext(context, this.allowedOrigins);
+    if (hostable) {
+      const deadline = Date.now() + CONTENT_SCRIPT_WAIT;
+      while (Date.now() < deadline) {
+        await sleep(100);
+        if ((await this._getFocusedContext()).hasBridge) {
+          return;
+        }
+      }
+    }
+
+    // Leave pages and frames that can't host the bridge alone and carry on through the
+    // bridge's own test-api.html instead. Calls switch Selenium back into the frame
+    // afterwards (see _switchToChannel()).
+    if (hostable || !this.testApiUrl) {
+      if (!context.isFrame) {
+        this.ready = false;
+      }
+      throw new BridgeNotReadyError(
+        `[TestBridge] The bridge isn't available on ${context.url}: ${reason}.` +
+        (context.isFrame ? ' Switch to another frame.' : ' Call bridge.init() to re-establish the connection.'),
+        { details: { url: context.url, isFrame: context.isFrame, reason } }
+      );
+    }
+
+    console.log(`[TestBridge] ${context.url} can't host the bridge (${reason}), falling back to test-api.html`);
+    await this._openChannel(this.testApiUrl);
+  }
+
+  /**
+   * Looks at the document Selenium is focused on, which may be a frame.
+   * @returns {Object} { url, isFrame, hasBridge }
+   */
+  async _getFocusedContext() {
+    try {
+      return await this.driver.executeScript(() => ({
+        url: location.href,
+        isFrame: window !== window.top,
+        hasBridge: typeof window.TestBridge !== 'undefined'
+      }));
+    } catch (e) {
+      // Some privileged pages don't allow scripts at all.
+      return { url: await this.driver.getCurrentUrl(), isFrame: false, hasBridge: false };
+    }
+  }
+
+  /**
+   * Will respond with "pong" status.
+   * @param {Object} callOptions Optional { timeout, signal } for this call
+   * @returns Status
+   */
+  async ping(callOptions) {
+    return await this._call('ping', {}, callOptions);
+  }
+
+  /**
+   * Resets the bridge connection by navigating to an HTTP page and
+   * re-initializing. In 'page' mode this also closes the test-api.html
+   * fallback window, so calls go through the focused page again.
+   */
+  async reset() {
+    if (this.channel === 'page' && this.channelHandle) {
+      await this._closeChannel();
+    }
+    const url = generateTestUrl('bridge-reset');
+    await this.driver.get(url);
+    await sleep(500);
+    await this.init();
+  }
+
+  /**
+   * Switches bridge calls to a WebSocket served by createTestServer(). The bridge
+   * background script connects to the server itself, so calls stop going through
+   * the focused page. If the socket closes, calls fall back to executeScript().
+   * @param {http.Server} server The server returned by createTestServer()
+   */
+  async connectSocket(server) {
+    const session = crypto.randomUUID();
+    const { address, port } = server.address();
+    const host = address === '0.0.0.0' || address === '::' ? '127.0.0.1' : address;
+    const url = `ws://${host}:${port}/bridge-socket?session=${session}`;
+
+    // The background script only responds once its socket is open, so the
+    // server already knows about the connection when this returns.
+    await this._call('connectSocket', { url });
+    const socket = server.bridgeSockets.get(session);
+    if (!socket) {
+      throw new BridgeNotReadyError(`[TestBridge] The bridge connected to ${url} but the server has no matching socket.`);
+    }
+
+    socket.on('message', (text) => this._onSocketMessage(text));
+    socket.on('close', () => {
+      if (this.socket === socket) {
+        this.socket = null;
+      }
+      for (const { reject, timer } of this.socketRequests.values()) {
+        clearTimeout(timer);
+        reject(new BridgeNotReadyError('[TestBridge] Bridge socket closed'));
+      }
+      this.socketRequests.clear();
+      this._resumeEventPolling();
+    });
+    this.socket = socket;
+    await this._syncEventCursor();
+  }
+
+  /**
+   * Closes the WebSocket transport. Later calls go through executeScript() again.
+   */
+  disconnectSocket() {
+    if (this.socket) {
+      this.socket.close();
+    }
+  }
+
+  /**
+   * Switches bridge calls to WebDriver BiDi. Opens a background tab that belongs to
+   * the bridge, reaches it with BiDi script evaluation no matter where Selenium is
+   * focused, and receives tab and window events as BiDi script messages instead of
+   * polling the background script's buffers.
+   * Requires launching Firefox with BiDi enabled: launchBrowser({ transport: 'bidi' })
+   */
+  async connectBidi() {
+    const bidi = await this.driver.getBidi();
+    this.bidi = bidi;
+
+    try {
+      const { context } = await this._bidiCommand('browsingContext.create', {
+        type: 'tab',
+        background: true
+      });
+      this.bidiContext = context;
+
+      // Forward events the content script posts to the page on to Node.
+      await this._bidiCommand('script.addPreloadScript', {
+        functionDeclaration: `(emit) => {
+          window.addEventListener('message', (event) => {
+            if (event.source !== window || !event.data || event.data.type !== 'bridge-event') return;
+            emit(JSON.stringify(event.data.event));
+          });
+        }`,
+        arguments: [{ type: 'channel', value: { channel: 'bridge-events' } }],
+        contexts: [context]
+      });
+      await bidi.subscribe('script.message', [context]);
+      this.bidiMessageListener = (data) => this._onBidiMessage(data.toString());
+      bidi.socket.on('message', this.bidiMessageListener);
+
+      const url = generateTestUrl('testbridge-bidi');
+      await this._bidiCommand('browsingContext.navigate', { context, url, wait: 'complete' });
+      await this.driver.wait(async () => {
+        const result = await this._bidiCommand('script.evaluate', {
+          expression: 'typeof window.TestBridge !== "undefined"',
+          target: { context },
+          awaitPromise: false
+        });
+        return result.type === 'success' && result.result.value === true;
+      }, 20000, `[TestBridge] Timed out waiting for the bridge content script to inject on ${url}.`);
+
+      await this._callOverBidi('subscribeEvents', { bridgeSecret: this.secret }, this.callTimeout);
+      await this._syncEventCursor();
+    } catch (error) {
+      await this.disconnectBidi();
+      throw error;
+    }
+  }
+
+  /**
+   * Closes the BiDi bridge tab. Later calls go through executeScript() again.
+   */
+  async disconnectBidi() {
+    if (!this.bidi) return;
+
+    const { bidi, bidiContext } = this;
+    if (this.bidiMessageListener) {
+      bidi.socket.off('message', this.bidiMessageListener);
+      this.bidiMessageListener = null;
+    }
+    this.bidi = null;
+    this.bidiContext = null;
+    for (const { reject, timer } of this.bidiRequests.values()) {
+      clearTimeout(timer);
+      reject(new BridgeNotReadyError('[TestBridge] The BiDi transport was disconnected'));
+    }
+    this.bidiRequests.clear();
+    try {
+      await bidi.send({ method: 'browsingContext.close', params: { context: bidiContext } });
+    } catch (e) {
+      // The tab is already gone.
+    }
+    this._resumeEventPolling();
+  }
+
+  /**
+   * Takes a screenshot.
+   * @param {*} format Optional format; defaults to PNG
+   * @param {Object} callOptions Optional { timeout, signal } for this call
+   * @returns The requested screenshot
+   */
+  async captureScreenshot(format, callOptions) {
+    return await this._call('captureScreenshot', { format }, callOptions);
+  }
+
+  /**
+   * Returns the UUIDs of all installed extensions from about:config.
+   * Navigates away from the current page and marks the bridge as not ready.
+   * @returns An object mapping extension IDs to their internal UUIDs
+   */
+  async _getExtensionUuids() {
+    await this.driver.get('about:config');
+    await sleep(500);
+
+    // Accept warning (if shown.)
+    try {
+      await this.driver.executeScript(() => {
+        const btn = document.getElementById('warningButton');
+        if (btn) btn.click();
+      });
+      await sleep(300);
+    } catch (e) {
+      // We expect an error if there's no warning.
+    }
+
+    const uuidsJson = await this.driver.executeScript(() => {
+      return Services.prefs.getStringPref('extensions.webextensions.uuids', '{}');
+    });
+
+    // We navigated away from the bridge page, so mark as not ready.
+    this.ready = false;
+
+    return JSON.parse(uuidsJson);
+  }
+
+  /**
+   * Returns the internal base URL of an installed extension. This is the URL that
+   * begins with moz-extension://
+   * @param {*} extensionId The extension ID (e.g. 'my-ext@example.com')
+   * @returns The moz-extension:// base URL, or null if not found
+   */
+  async getExtensionUrl(extensionId) {
+    const uuids = await this._getExtensionUuids();
+    const uuid = uuids[extensionId];
+    return uuid ? getExtensionUrlForUuid(uuid) : null;
+  }
+
+  /**
+   * Returns the internal base URL of an installed extension by its manifest name.
+   * Useful for extensions that don't declare a fixed ID in their manifest.
+   * @param {*} name The extension's name as declared in its manifest.json
+   * @returns The moz-extension:// base URL, or null if not found
+   */
+  async getExtensionUrlByName(name) {
+    const uuids = await this._getExtensionUuids();
+
+    for (const [, uuid] of Object.entries(uuids)) {
+      const baseUrl = getExtensionUrlForUuid(uuid);
+      try {
+        await this.driver.get(`${baseUrl}/manifest.json`);
+        await sleep(300);
+        const pageText = await this.driver.executeScript(() => document.body.textContent);
+        const manifest = JSON.parse(pageText);
+        if (manifest.name === name) {
+          return baseUrl;
+        }
+      } catch (e) {
+        // Not accessible or not valid JSON, try next
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Runs a function with geckodriver switched to the browser's chrome context, where
+   * executeScript() runs with system privileges, then switches back to content.
+   * Requires Firefox to be launched with `-remote-allow-system-access`.
+   * @param {Function} fn Async function to run
+   * @returns The function's result
+   */
+  async _inChromeContext(fn) {
+    const { Command } = require('selenium-webdriver/lib/command');
+
+    await this.driver.execute(
+      new Command('setContext').setParameter('context', 'chrome')
+    );
+
+    try {
+      return await fn();
+    } finally {
+      await this.driver.execute(
+        new Command('setContext').setParameter('context', 'content')
+      );
+    }
+  }
+
+  /**
+   * Clicks an extension's toolbar button.
+   * Requires Firefox to be launched with `-remote-allow-system-access`:
+   *   launchBrowser({ firefoxArgs: ['-remote-allow-system-access'] })
+   * @param {string} extensionId The extension's ID, for example 'my-ext@example.com'
+   */
+  async clickBrowserAction(extensionId) {
+    const normalizedId = normalizeExtensionId(extensionId);
+    await this._inChromeContext(async () => {
+      // Buttons pinned to the toolbar (see pinToToolbar()) can be clicked directly.
+      const clicked = await this.driver.executeScript((id) => {
+        const btn = document.getElementById(id);
+        if (!btn || btn.closest('#unified-extensions-panel')) return false;
+        btn.click();
+        return true;
+      }, `${normalizedId}-BAP`);
+      if (clicked) return;
+
+      // Open the unified extensions panel (puzzle piece icon.)
+      await this.driver.executeScript(() => {
+        document.getElementById('unified-extensions-button').click();
+      });
+      await sleep(500);
+
+      // Click the extension's action button.
+      await this.driver.executeScript((id) => {
+        const btn = document.getElementById(id);
+        if (!btn) throw new Error(`Extension button "${id}" not found in panel`);
+        btn.click();
+      }, `${normalizedId}-BAP`);
+    });
+  }
+
+  /**
+   * Clicks an extension's page action button in the URL bar.
+   * Requires Firefox to be launched with `-remote-allow-system-access`:
+   *   launchBrowser({ firefoxArgs: ['-remote-allow-system-access'] })
+   * @param {string} extensionId The extension's ID, for example 'my-ext@example.com'
+   */
+  async clickPageAction(extensionId) {
+    await this._inChromeContext(async () => {
+      const normalizedId = normalizeExtensionId(extensionId);
+
+      const result = await this.driver.executeScript((id) => {
+        // The URL bar page action button ID follows the pattern:
+        //   pageAction-urlbar-<normalizedExtensionId>
+        // This button only exists in the DOM when the page action is visible
+        // for the current tab. There's also a pageAction-panel-<id> button
+        // in the overflow panel that always exists — we intentionally skip it.
+        const urlbarId = 'pageAction-urlbar-' + id;
+        let btn = document.getElementById(urlbarId);
+        if (btn) {
+          btn.click();
+          return { found: true, buttonId: urlbarId };
+        }
+
+        // Not found — collect available page action IDs for diagnostics.
+        const available = [];
+        const container = document.getElementById('page-action-buttons');
+        if (container) {
+          container.querySelectorAll('*[id]').forEach(el => available.push(el.id));
+        }
+        // Also note any panel buttons for this extension.
+        document.querySelectorAll(`[id*="${id}"]`).forEach(el => {
+          available.push(el.id + ' (panel/overflow)');
+        });
+        return { found: false, available };
+      }, normalizedId);
+
+      if (!result.found) {
+        throw new Error(
+          `Page action button not found for "${extensionId}" (normalized: "${normalizedId}"). ` +
+          `Available buttons in #page-action-buttons: [${result.available.join(', ')}]`
+        );
+      }
+    });
+  }
+
+  //////////////////
+  // Action State //
+  //////////////////
+
+  /**
+   * Reads what an extension's toolbar button shows, from the browser UI.
+   * Requires Firefox to be launched with `-remote-allow-system-access`.
+   * @param {string} extensionId The extension's ID, for example 'my-ext@example.com'
+   * @param {number} tabId Optional tab to read the state for; it must be the selected
+   *   tab of its window, since the UI only shows that tab's state. Defaults to the
+   *   current window's selected tab.
+   * @returns {Object} { title, badgeText, badgeBackgroundColor, badgeTextColor, enabled, icon },
+   *   where colors are CSS color strings and icon is the icon's URL
+   * @throws {ExtensionNotFoundError} If the extension has no toolbar button
+   * @throws {NotSupportedError} If the tab isn't selected in its window
+   */
+  async getBrowserActionState(extensionId, tabId) {
+    return await this._readActionState('browserAction', extensionId, tabId);
+  }
+
+  /**
+   * Reads what an extension's page action (URL bar button) shows, from the browser UI.
+   * Requires Firefox to be launched with `-remote-allow-system-access`.
+   * @param {string} extensionId The extension's ID, for example 'my-ext@example.com'
+   * @param {number} tabId The tab to read the state for; it must be the selected tab
+   *   of its window, since the UI only shows that tab's state
+   * @returns {Object} { visible, title, enabled, icon }, where icon is the icon's URL;
+   *   title, enabled and icon are null while the page action is hidden
+   * @throws {NotSupportedError} If the tab isn't selected in its window
+   */
+  async getPageActionState(extensionId, tabId) {
+    return await this._readActionState('pageAction', extensionId, tabId);
+  }
+
+  /**
+   * Shared implementation of getBrowserActionState() and getPageActionState().
+   * @param {string} kind 'browserAction' or 'pageAction'
+   * @param {string} extensionId The extension's ID
+   * @param {number} tabId The tab whose window to read, if any
+   * @returns {Object} The action's state
+   */
+  async _readActionState(kind, extensionId, tabId) {
+    const result = await this._inChromeContext(() => this.driver.executeScript((kind, id, tabId) => {
+      /* global ChromeUtils, CustomizableUI */
+      let win = window;
+      if (tabId !== null) {
+        const { ExtensionParent } = ChromeUtils.importESModule('resource://gre/modules/ExtensionParent.sys.mjs');
+        const tab = ExtensionParent.apiManager.global.tabTracker.getTab(tabId, null);
+        if (!tab) {
+          return { success: false, code: 'BROWSER_ERROR', error: `No tab with id ${tabId}` };
+        }
+        if (!tab.selected) {
+          return {
+            success: false,
+            code: 'NOT_SUPPORTED',
+            error: `Tab ${tabId} isn't selected in its window, and the browser only shows the selected tab's action state`
+          };
+        }
+        win = tab.ownerGlobal;
+      }
+      const doc = win.document;
+
+      // Icons are set as CSS variables holding url("...") or an image-set() of them.
+      const iconUrl = (node, properties) => {
+        for (const property of properties) {
+          const match = node.style.getPropertyValue(property).match(/url\("?([^")]+)"?\)/);
+          if (match) return match[1];
+        }
+        return null;
+      };
+
+      if (kind === 'pageAction') {
+        const button = doc.getElementById('pageAction-urlbar-' + id);
+        if (!button || button.hidden) {
+          return { success: true, data: { visible: false, title: null, enabled: null, icon: null } };
+        }
+        return {
+          success: true,
+          data: {
+            visible: true,
+            title: button.getAttribute('tooltiptext') || button.getAttribute('aria-label'),
+            enabled: button.getAttribute('disabled') !== 'true',
+            icon: iconUrl(button, ['--webextension-urlbar-image', '--webextension-urlbar-image-2x'])
+          }
+        };
+      }
+
+      const widget = CustomizableUI.getWidget(id + '-browser-action');
+      const node = (widget && widget.forWindow(win).node) || doc.getElementById(id + '-browser-action');
+      if (!node) {
+        return { success: false, code: 'EXTENSION_NOT_FOUND', error: `No toolbar button for ${id}` };
+      }
+      // Pinned buttons are the node itself; in the extensions panel it wraps an action button.
+      const button = doc.getElementById(id + '-BAP') || node;
+      const badge = button.querySelector('.toolbarbutton-badge') || button.badgeLabel;
+      const badgeStyle = badge ? win.getComputedStyle(badge) : null;
+      return {
+        success: true,
+        data: {
+          title: button.getAttribute('tooltiptext') || node.getAttribute('tooltiptext') || node.getAttribute('label'),
+          badgeText: button.getAttribute('badge') || node.getAttribute('badge') || '',
+          badgeBackgroundColor: badgeStyle ? badgeStyle.backgroundColor : null,
+          badgeTextColor: badgeStyle ? badgeStyle.color : null,
+          enabled: button.getAttribute('disabled') !== 'true' && node.getAttribute('disabled') !== 'true',
+          icon: iconUrl(node, ['--webextension-toolbar-image', '--webextension-menupanel-image']) ||
+            iconUrl(button, ['--webextension-toolbar-image', '--webextension-menupanel-image'])
+        }
+      };
+    }, kind, normalizeExtensionId(extensionId), tabId === undefined ? null : tabId));
+
+    if (!result.success) {
+      throw errorFromResponse({ ...result, details: { targetExtensionId: extensionId } });
+    }
+    return result.data;
+  }
+
+  /////////////
+  // Toolbar //
+  /////////////
+
+  /**
+   * Moves an extension's toolbar button from the extensions (puzzle piece) panel onto
+   * the navigation toolbar, as if the user pinned it. Lasts for the browser session.
+   * Requires Firefox to be launched with `-remote-allow-system-access`.
+   * @param {string} extensionId The extension's ID, for example 'my-ext@example.com'
+   * @throws {ExtensionNotFoundError} If the extension has no toolbar button
+   */
+  async pinToToolbar(extensionId) {
+    await this._moveActionButton(extensionId, 'nav-bar');
+  }
+
+  /**
+   * Moves a pinned toolbar button back into the extensions panel.
+   * @param {string} extensionId The extension's ID, for example 'my-ext@example.com'
+   * @throws {ExtensionNotFoundError} If the extension has no toolbar button
+   */
+  async unpinFromToolbar(extensionId) {
+    await this._moveActionButton(extensionId, 'unified-extensions-area');
+  }
+
+  /**
+   * Moves an extension's toolbar button to a CustomizableUI area.
+   * @param {string} extensionId The extension's ID
+   * @param {string} area The area's ID, e.g. 'nav-bar'
+   */
+  async _moveActionButton(extensionId, area) {
+    const result = await this._inChromeContext(() => this.driver.executeScript((widgetId, area) => {
+      /* global CustomizableUI */
+      const widget = CustomizableUI.getWidget(widgetId);
+      if (!widget || widget.provider !== CustomizableUI.PROVIDER_API) {
+        return { success: false, code: 'EXTENSION_NOT_FOUND', error: `No toolbar button for ${widgetId}` };
+      }
+      CustomizableUI.addWidgetToArea(widgetId, area);
+      return { success: true };
+    }, `${normalizeExtensionId(extensionId)}-browser-action`, area));
+
+    if (!result.success) {
+      throw errorFromResponse({ ...result, details: { targetExtensionId: extensionId } });
+    }
+  }
+
+  /**
+   * Screenshots the browser's own UI rather than the page, e.g. to check toolbar icons
+   * and badges. Requires Firefox to be launched with `-remote-allow-system-access`.
+   * @param {Object} options Optional { element }: 'toolbar', 'urlbar', 'tabs',
+   *   'popup' (the open extension popup's contents) or a CSS selector for any browser
+   *   UI element, such as '#unified-extensions-button'. Defaults to the whole window.
+   * @returns {string} The screenshot as a data:image/png URL
+   * @throws {NotSupportedError} If element is 'popup' and no popup is open
+   */
+  async captureChromeScreenshot({ element } = {}) {
+    const { By } = require('selenium-webdriver');
+
+    return await this._inChromeContext(async () => {
+      if (!element) {
+        return 'data:image/png;base64,' + await this.driver.takeScreenshot();
+      }
+
+      // Popups are separate native panels, missing from window screenshots, so their
+      // contents are drawn directly.
+      if (element === 'popup') {
+        const dataUrl = await this.driver.executeScript(async () => {
+          const popup = document.querySelector('browser[webextension-view-type="popup"]');
+          if (!popup || !popup.browsingContext.currentWindowGlobal) return null;
+          const bitmap = await popup.browsingContext.currentWindowGlobal.drawSnapshot(null, window.devicePixelRatio, 'white');
+          const canvas = document.createElementNS('http://www.w3.org/1999/xhtml', 'canvas');
+          canvas.width = bitmap.width;
+          canvas.height = bitmap.height;
+          canvas.getContext('2d').drawImage(bitmap, 0, 0);
+          return canvas.toDataURL('image/png');
+        });
+        if (!dataUrl) {
+          throw new NotSupportedError('[TestBridge] No extension popup is open to screenshot');
+        }
+        return dataUrl;
+      }
+
+      const selector = CHROME_SCREENSHOT_REGIONS[element] || element;
+      const target = await this.driver.findElement(By.css(selector));
+      return 'data:image/png;base64,' + await target.takeScreenshot();
+    });
+  }
+
+  ///////////////////////////
+  // Browser Action Popups //
+  ///////////////////////////
+
+  /**
+   * Clicks an extension's toolbar button and waits for its popup to load.
+   * Requires Firefox to be launched with `-remote-allow-system-access`:
+   *   launchBrowser({ firefoxArgs: ['-remote-allow-system-access'] })
+   * @param {string} extensionId The extension's ID, for example 'my-ext@example.com'
+   * @param {Object} options Optional { timeout } for the popup to load; defaults to 10000
+   * @returns {ExtensionPopup} The popup, with evaluate(), click(), setValue(),
+   *   getText(), waitForSelector(), waitForLoad() and close()
+   * @throws {BridgeTimeoutError} If no popup loaded in time, e.g. the extension has none
+   */
+  async openBrowserActionPopup(extensionId, { timeout = 10000 } = {}) {
+    await this.clickBrowserAction(extensionId);
+    const popup = new ExtensionPopup(this, extensionId);
+    await popup.waitForLoad(timeout);
+    return popup;
+  }
+
+  /**
+   * Closes the open extension popup, if any, and the extensions panel it may have
+   * been opened from.
+   * @returns {boolean} True if a popup was open
+   */
+  async closePopup() {
+    return await this._inChromeContext(() => this.driver.executeScript(() => {
+      const popups = [...document.querySelectorAll('browser[webextension-view-type="popup"]')];
+      const panels = new Set(popups.map(browser => browser.closest('panel')).filter(Boolean));
+      const extensionsPanel = document.getElementById('unified-extensions-panel');
+      if (extensionsPanel) {
+        panels.add(extensionsPanel);
+      }
+      for (const panel of panels) {
+        if (panel.state === 'open' || panel.state === 'showing') {
+          panel.hidePopup();
+        }
+      }
+      return popups.length > 0;
+    }));
+  }
+
+  ///////////////////
+  // Options Pages //
+  ///////////////////
+
+  /**
+   * Opens an extension's options page, as declared by options_ui (or options_page) in
+   * its manifest, and switches Selenium to the tab showing it: about:addons with the
+   * page embedded, or the page in its own tab. Close the returned page to switch back,
+   * so bridge calls go through the page they used before.
+   * Requires Firefox to be launched with `-remote-allow-system-access`:
+   *   launchBrowser({ firefoxArgs: ['-remote-allow-system-access'] })
+   * @param {string} extensionId The extension's ID, for example 'my-ext@example.com'
+   * @param {Object} options Optional { inTab, timeout }, where inTab opens the page in its
+   *   own tab (defaults to the manifest's options_ui.open_in_tab) and timeout is how long
+   *   to wait for it to load (defaults to 10000)
+   * @returns {ExtensionOptionsPage} The page, with evaluate(), click(), setValue(),
+   *   getText(), waitForSelector(), waitForLoad() and close()
+   * @throws {ExtensionNotFoundError} If the extension isn't installed
+   * @throws {NotSupportedError} If the extension has no options page
+   * @throws {BridgeTimeoutError} If the page didn't load in time
+   */
+  async openOptionsPage(extensionId, { inTab, timeout = 10000 } = {}) {
+    // close() switches back into the frame the test was in, if any.
+    const previousFramePath = await this._getFramePath();
+    const response = await this._inChromeContext(() => this.driver.executeScript((extensionId) => {
+      /* global WebExtensionPolicy */
+      const policy = WebExtensionPolicy.getByID(extensionId);
+      if (!policy || !policy.extension) {
+        return { success: false, code: 'EXTENSION_NOT_FOUND', error: `Extension ${extensionId} is not installed` };
+      }
+      const { options_ui: optionsUi, options_page: optionsPage } = policy.extension.manifest;
+      const page = optionsUi ? optionsUi.page : optionsPage;
+      if (!page) {
+        return { success: false, code: 'NOT_SUPPORTED', error: `Extension ${extensionId} has no options page` };
+      }
+      return {
+        success: true,
+        data: { url: policy.getURL(page), openInTab: optionsUi ? Boolean(optionsUi.open_in_tab) : true }
+      };
+    }, extensionId));
+    if (!response.success) {
+      throw errorFromResponse({ ...response, details: { targetExtensionId: extensionId } });
+    }
+    const { url, openInTab } = response.data;
+    if (inTab === undefined) {
+      inTab = openInTab;
+    }
+
+    const previousHandle = await this.driver.getWindowHandle();
+    const handlesBefore = await this.driver.getAllWindowHandles();
+    let handle;
+    if (inTab) {
+      await this.driver.switchTo().newWindow('tab');
+      await this.driver.get(url);
+      handle = await this.driver.getWindowHandle();
+    } else {
+      // about:addons can't be told which view to show through its URL, so open it the
+      // way the browser's own "Options" menu item does. This reuses an about:addons tab
+      // that's already open.
+      const view = `addons://detail/${encodeURIComponent(extensionId)}/preferences`;
+      await this._inChromeContext(() => this.driver.executeScript(async (view) => {
+        if (window.BrowserAddonUI) {
+          await window.BrowserAddonUI.openAddonsMgr(view);
+        } else {
+          await window.BrowserOpenAddonsMgr(view);
+        }
+      }, view));
+      for (const candidate of await this.driver.getAllWindowHandles()) {
+        await this.driver.switchTo().window(candidate);
+        if ((await this.driver.getCurrentUrl()).startsWith('about:addons')) {
+          handle = candidate;
+          break;
+        }
+      }
+      if (!handle) {
+        await this.driver.switchTo().window(previousHandle);
+        await this._restoreFrame(previousFramePath);
+        throw new BridgeTimeoutError(`[TestBridge] about:addons didn't open for ${extensionId}`);
+      }
+    }
+
+    // close() leaves an about:addons tab that was already open alone.
+    const ownsTab = !handlesBefore.includes(handle);
+    const page = new ExtensionOptionsPage(this, {
+      extensionId, url, inTab, handle, previousHandle, previousFramePath, ownsTab
+    });
+    try {
+      await page.waitForLoad(timeout);
+    } catch (e) {
+      await page.close();
+      throw e;
+    }
+    return page;
+  }
+
+  //////////////
+  // Sidebars //
+  //////////////
+
+  /**
+   * Opens an extension's sidebar_action panel in the browser sidebar and waits for it
+   * to load. Any other sidebar that was open is replaced.
+   * Requires Firefox to be launched with `-remote-allow-system-access`:
+   *   launchBrowser({ firefoxArgs: ['-remote-allow-system-access'] })
+   * @param {string} extensionId The extension's ID, for example 'my-ext@example.com'
+   * @param {Object} options Optional { timeout } for the sidebar to load; defaults to 10000
+   * @returns {ExtensionSidebar} The sidebar, with evaluate(), click(), setValue(),
+   *   getText(), waitForSelector(), waitForLoad(), switchTo(), switchBack() and close()
+   * @throws {ExtensionNotFoundError} If the extension isn't installed
+   * @throws {NotSupportedError} If the extension has no sidebar
+   * @throws {BridgeTimeoutError} If the sidebar didn't load in time
+   */
+  async openSidebar(extensionId, { timeout = 10000 } = {}) {
+    const response = await this._inChromeContext(() => this.driver.executeScript(async (extensionId, sidebarId) => {
+      /* global WebExtensionPolicy */
+      const controller = window.SidebarController || window.SidebarUI;
+      // Older versions only register extension sidebars as broadcaster elements.
+      const registered = controller.sidebars ? controller.sidebars.has(sidebarId) : document.getElementById(sidebarId);
+      if (!registered) {
+        return WebExtensionPolicy.getByID(extensionId)
+          ? { success: false, code: 'NOT_SUPPORTED', error: `Extension ${extensionId} has no sidebar` }
+          : { success: false, code: 'EXTENSION_NOT_FOUND', error: `Extension ${extensionId} is not installed` };
+      }
+      await controller.show(sidebarId);
+      return { success: true };
+    }, extensionId, `${normalizeExtensionId(extensionId)}-sidebar-action`));
+    if (!response.success) {
+      throw errorFromResponse({ ...response, details: { targetExtensionId: extensionId } });
+    }
+
+    const sidebar = new ExtensionSidebar(this, extensionId);
+    await sidebar.waitForLoad(timeout);
+    return sidebar;
+  }
+
+  /**
+   * Closes the browser sidebar, whichever sidebar it's showing.
+   * @returns {boolean} True if the sidebar was open
+   */
+  async closeSidebar() {
+    return await this._inChromeContext(() => this.driver.executeScript(() => {
+      const controller = window.SidebarController || window.SidebarUI;
+      const wasOpen = controller.isOpen;
+      controller.hide();
+      return wasOpen;
+    }));
+  }
+
+  /**
+   * Checks whether the browser sidebar is open.
+   * @param {string} extensionId Optional extension ID; if given, only counts the sidebar
+   *   as open while it's showing that extension's panel
+   * @returns {boolean} True if the sidebar is open
+   */
+  async isSidebarOpen(extensionId) {
+    const sidebarId = extensionId ? `${normalizeExtensionId(extensionId)}-sidebar-action` : null;
+    return await this._inChromeContext(() => this.driver.executeScript((sidebarId) => {
+      const controller = window.SidebarController || window.SidebarUI;
+      return controller.isOpen && (!sidebarId || controller.currentID === sidebarId);
+    }, sidebarId));
+  }
+
+  //////////////////////////
+  // Extension Forwarding //
+  //////////////////////////
+
+  /**
+   * Sends a message to another extension.
+   * @param {*} targetExtensionId The ID of the extension to send the message to
+   * @param {*} payload The message payload to send
+   * @param {Object} callOptions Optional { as, timeout, signal } for this call, where
+   *   as is one of launchBrowser()'s senderIds to send the message as
+   * @returns The response from the target extension
+   */
+  async sendToExtension(targetExtensionId, payload, callOptions = {}) {
+    const { as: senderId, ...options } = callOptions;
+    return await this._call('forwardToExtension', { targetExtensionId, payload, senderId }, options);
+  }
+
+  //////////////////////////
+  // Extension Inspection //
+  //////////////////////////
+
+  /**
+   * Runs a function inside an extension's background page and returns its result,
+   * so extension state can be checked without a test-only message handler. The
+   * function is sent as source, so it can't use variables from the test, only its
+   * arguments and the background page's globals (including top-level let/const).
+   * Requires Firefox to be launched with `-remote-allow-system-access`:
+   *   launchBrowser({ firefoxArgs: ['-remote-allow-system-access'] })
+   * @param {string} extensionId The extension's ID, for example 'my-ext@example.com'
+   * @param {Function|string} fn The function to run; may be async
+   * @param {...*} args JSON-serializable arguments for the function
+   * @returns The function's result, serialized as JSON
+   * @throws {ExtensionNotFoundError} If the extension isn't installed
+   * @throws {NotSupportedError} If the extension has no running background page
+   * @throws {ExtensionError} If the function throws or rejects
+   */
+  async evaluateInExtension(extensionId, fn, ...args) {
+    return await this._evaluateInView(extensionId, { viewType: 'background' }, fn, args);
+  }
+
+  /**
+   * Runs a function in one of an extension's pages through a frame script (see
+   * evaluateInExtensionPage()).
+   * @param {string} extensionId The extension's ID
+   * @param {Object} view The page to run in: { viewType } for the 'background' page or
+   *   'popup', or { url } for a page open at a URL
+   * @param {Function|string} fn The function to run; may be async
+   * @param {Array} args JSON-serializable arguments for the function
+   * @returns The function's result, serialized as JSON
+   */
+  async _evaluateInView(extensionId, view, fn, args) {
+    const request = {
+      id: crypto.randomUUID(),
+      source: fn.toString(),
+      args: JSON.stringify(args)
+    };
+    const frameScript = 'data:,' + encodeURIComponent(`(${evaluateInExtensionPage})(${JSON.stringify(request)})`);
+
+    const response = await this._inChromeContext(() => this.driver.executeScript((extensionId, { viewType, url }, id, frameScript) => {
+      /* global WebExtensionPolicy */
+      const policy = WebExtensionPolicy.getByID(extensionId);
+      if (!policy || !policy.extension) {
+        return { success: false, code: 'EXTENSION_NOT_FOUND', error: `Extension ${extensionId} is not installed` };
+      }
+      const view = [...policy.extension.views].find(view => url
+        ? view.xulBrowser && view.xulBrowser.currentURI.spec.startsWith(url)
+        : view.viewType === viewType);
+      if (!view || !view.xulBrowser) {
+        const what = url ? `page open at ${url}` : viewType === 'background' ? 'running background page' : `open ${viewType}`;
+        return { success: false, code: 'NOT_SUPPORTED', error: `Extension ${extensionId} has no ${what}` };
+      }
+
+      const mm = view.xulBrowser.messageManager;
+      return new Promise((resolve) => {
+        const listener = ({ data }) => {
+          if (data.id !== id) return;
+          mm.removeMessageListener('TestBridge:evaluated', listener);
+          resolve(data.response);
+        };
+        mm.addMessageListener('TestBridge:evaluated', listener);
+        mm.loadFrameScript(frameScript, false);
+      });
+    }, extensionId, view, request.id, frameScript));
+
+    if (!response.success) {
+      throw errorFromResponse({ ...response, details: { targetExtensionId: extensionId } });
+    }
+    return JSON.parse(response.data);
+  }
+
+  ///////////////////////
+  // Extension Storage //
+  ///////////////////////
+
+  /**
+   * Reads another extension's storage. Uses evaluateInExtension(), so it has the same
+   * requirements, and the extension needs the "storage" permission.
+   * @param {string} extensionId The extension's ID, for example 'my-ext@example.com'
+   * @param {string} area 'local' (default), 'sync' or 'session'
+   * @param {string|string[]|Object} keys Keys to read, or defaults as for storage.get();
+   *   defaults to everything
+   * @returns The stored items
+   */
+  async getExtensionStorage(extensionId, area = 'local', keys = null) {
+    this._checkStorageArea(area);
+    return await this.evaluateInExtension(extensionId, (area, keys) => browser.storage[area].get(keys), area, keys);
+  }
+
+  /**
+   * Writes items to another extension's storage, e.g. to load fixtures.
+   * @param {string} extensionId The extension's ID, for example 'my-ext@example.com'
+   * @param {string} area 'local', 'sync' or 'session'
+   * @param {Object} items The items to store
+   */
+  async setExtensionStorage(extensionId, area, items) {
+    this._checkStorageArea(area);
+    await this.evaluateInExtension(extensionId, (area, items) => browser.storage[area].set(items), area, items);
+  }
+
+  /**
+   * Removes everything from one of another extension's storage areas.
+   * @param {string} extensionId The extension's ID, for example 'my-ext@example.com'
+   * @param {string} area 'local' (default), 'sync' or 'session'
+   */
+  async clearExtensionStorage(extensionId, area = 'local') {
+    this._checkStorageArea(area);
+    await this.evaluateInExtension(extensionId, (area) => browser.storage[area].clear(), area);
+  }
+
+  /**
+   * Starts recording another extension's storage changes as 'storageChanged' events,
+   * which are read with getStorageEvents(), waitForStorageChange() or on(). Each has
+   * extensionId, area and changes ({ key: { oldValue, newValue } }). Watching lasts
+   * until the extension reloads, and calling this again is harmless.
+   * @param {string} extensionId The extension's ID, for example 'my-ext@example.com'
+   */
+  async watchExtensionStorage(extensionId) {
+    await this.ensureReady();
+    await this.evaluateInExtension(extensionId, (bridgeId) => {
+      if (globalThis.__testBridgeStorageWatcher) return;
+      globalThis.__testBridgeStorageWatcher = (changes, area) => {
+        browser.runtime.sendMessage(bridgeId, { type: 'bridge-storage-changed', area, changes }).catch(() => {});
+      };
+      browser.storage.onChanged.addListener(globalThis.__testBridgeStorageWatcher);
+    }, this.bridgeExtensionId);
+  }
+
+  /**
+   * Gets recorded storage change events from watched extensions, oldest first.
+   * @param {*} options Filters: since, extensionId, limit and clear, as for
+   *   getTabEvents(). Passing a boolean is the same as { clear }.
+   * @param {Object} callOptions Optional { timeout, signal } for this call
+   * @returns Array of storage events
+   */
+  async getStorageEvents(options, callOptions) {
+    options = eventOptions(options);
+    return await this._call('getStorageEvents', options, callOptions);
+  }
+
+  /**
+   * Waits for a watched extension's storage to change (see watchExtensionStorage()).
+   * @param {string} extensionId The extension's ID
+   * @param {*} filter Optional { key, area, since, predicate }; key only matches
+   *   changes to that key
+   * @param {*} timeout Maximum time to wait in milliseconds; defaults to 10000
+   * @param {Object} callOptions Optional { signal } that aborts the wait
+   * @returns The matching event, or null if timed out
+   */
+  async waitForStorageChange(extensionId, { key, area, since, predicate } = {}, timeout = 10000, callOptions = {}) {
+    return await this._waitForEvent('storage', options => this.getStorageEvents(options), {
+      extensionId,
+      since,
+      predicate: e => (!key || key in e.changes) && (!area || e.area === area) && (!predicate || predicate(e))
+    }, timeout, callOptions.signal);
+  }
+
+  /**
+   * Throws unless the storage area is one the helpers support.
+   * @param {string} area The storage area
+   */
+  _checkStorageArea(area) {
+    if (!STORAGE_AREAS.includes(area)) {
+      throw new Error(`[TestBridge] Unknown storage area '${area}', expected one of ${STORAGE_AREAS.join(', ')}`);
+    }
+  }
+
+  ////////////////////////
+  // Extension Messages //
+  ////////////////////////
+
+  /**
+   * Gets the messages an extension sent the bridge, oldest first. Extensions send them
+   * with browser.runtime.sendMessage(bridgeExtensionId, message), giving 'received'
+   * events, or over a port from browser.runtime.connect(bridgeExtensionId), giving
+   * 'portConnected', 'portMessage' and 'portDisconnected' events with portId and
+   * portName. Each event has the message, extensionId, url, and tabId for content scripts.
+   * @param {string} extensionId The sending extension's ID, for example 'my-ext@example.com'
+   * @param {*} options Filters: since, types, limit and clear (only this extension's
+   *   messages), as for getTabEvents(). Passing a boolean is the same as { clear }.
+   * @param {Object} callOptions Optional { timeout, signal } for this call
+   * @returns Array of message events
+   */
+  async getMessagesFromExtension(extensionId, options, callOptions) {
+    options = { ...eventOptions(options), extensionId };
+    return await this._call('getExtensionMessages', options, callOptions);
+  }
+
+  /**
+   * Waits for an extension to send the bridge a message (see getMessagesFromExtension()).
+   * @param {string} extensionId The sending extension's ID
+   * @param {*} predicate Optional check called with (message, event), or filters:
+   *   types, since and predicate
+   * @param {*} timeout Maximum time to wait in milliseconds; defaults to 10000
+   * @param {Object} callOptions Optional { signal } that aborts the wait
+   * @returns The matching event, or null if timed out
+   */
+  async waitForExtensionMessage(extensionId, predicate, timeout = 10000, callOptions = {}) {
+    const { predicate: check, ...filter } = typeof predicate === 'function' ? { predicate } : predicate || {};
+    return await this._waitForEvent('extensionMessage', options => this.getMessagesFromExtension(extensionId, options), {
+      types: ['received', 'portMessage'],
+      ...filter,
+      extensionId,
+      predicate: e => !check || check(e.message, e)
+    }, timeout, callOptions.signal);
+  }
+
+  /**
+   * Makes the bridge answer an extension's messages with a canned response. It's the
+   * value runtime.sendMessage() resolves with, and is posted back on ports. Setting a
+   * response for the same match again replaces it.
+   * @param {string} extensionId The sending extension's ID
+   * @param {*} response The JSON-serializable response
+   * @param {Object} options Optional { match }: only answer messages whose properties
+   *   equal every property of match, e.g. { type: 'getConfig' }; without it every
+   *   message is answered. The first matching response set is used.
+   * @param {Object} callOptions Optional { timeout, signal } for this call
+   */
+  async setExtensionReply(extensionId, response, { match = null } = {}, callOptions) {
+    await this._call('setExtensionReply', { extensionId, response, match }, callOptions);
+  }
+
+  /**
+   * Removes the canned responses set with setExtensionReply().
+   * @param {string} extensionId The extension whose responses to remove; all if omitted
+   * @param {Object} callOptions Optional { timeout, signal } for this call
+   */
+  async clearExtensionReplies(extensionId, callOptions) {
+    await this._call('clearExtensionReplies', { extensionId }, callOptions);
+  }
+
+  /**
+   * Opens a runtime.connect() port from the bridge extension to another extension's
+   * runtime.onConnectExternal, held open until either end disconnects.
+   * @param {string} extensionId The extension's ID, for example 'my-ext@example.com'
+   * @param {Object} options Optional { name }, the port name the extension sees
+   * @param {Object} callOptions Optional { timeout, signal } for this call
+   * @returns {ExtensionPort} The port, with postMessage(), getMessages(),
+   *   waitForMessage(), isConnected() and disconnect()
+   * @throws {ExtensionNotFoundError} If the extension isn't installed or doesn't
+   *   listen for connections
+   */
+  async connectToExtension(extensionId, { name = '' } = {}, callOptions) {
+    const { portId, seq } = await this._call('connectExtension', { targetExtensionId: extensionId, name }, callOptions);
+    return new ExtensionPort(this, { portId, extensionId, name, seq });
+  }
+
+  /**
+   * Waits for a message on a port opened by connectToExtension(). Shared implementation
+   * of ExtensionPort.waitForMessage().
+   * @param {number} portId The port's ID in the bridge
+   * @param {number} index Index of the first message to look at
+   * @param {Function} predicate Optional check called with (message)
+   * @param {number} timeout Maximum time to wait in milliseconds
+   * @param {AbortSignal} signal Optional signal that aborts the wait
+   * @returns {Object} { message, index } for the matching message, or null if timed out
+   */
+  async _waitForPortMessage(portId, index, predicate, timeout, signal) {
+    const startTime = Date.now();
+
+    do {
+      const { messages } = await this._call('getExtensionPort', { portId, since: index }, { signal });
+      const found = messages.findIndex(message => !predicate || predicate(message));
+      if (found !== -1) {
+        return { message: messages[found], index: index + found };
+      }
+      index += messages.length;
+      await sleepUnlessAborted(250, signal);
+    } while (Date.now() - startTime < timeout);
+
+    return null;
+  }
+
+  /////////////////////
+  // Console Capture //
+  /////////////////////
+
+  /**
+   * Starts recording an extension's console messages, uncaught errors and unhandled
+   * rejections, from its background page and from content scripts it injects after this
+   * call. Pages are always recorded, as long as the bridge runs on them. Uses
+   * evaluateInExtension(), so it has the same requirements. Capture lasts until the
+   * extension reloads, and calling this again only updates failOnError.
+   * @param {string} extensionId The extension's ID, for example 'my-ext@example.com'
+   * @param {Object} options Optional { failOnError }: when true, an uncaught error in the
+   *   extension's background page makes the next bridge call throw UncaughtExtensionError
+   * @param {Object} callOptions Optional { timeout, signal } for the bridge call
+   */
+  async captureConsole(extensionId, { failOnError = false } = {}, callOptions) {
+    await this.ensureReady();
+    await this.evaluateInExtension(extensionId, instrumentExtensionConsole, this.bridgeExtensionId, 'background');
+    await this._call('setFailOnError', { extensionId, enabled: failOnError }, callOptions);
+  }
+
+  /**
+   * Gets recorded console messages, oldest first. Each has type (the level, or
+   * 'exception' for uncaught errors and unhandled rejections), source ('page',
+   * 'background' or 'contentScript'), message, stack, url, extensionId (unless it came
+   * from a page) and tabId and frameId (for pages and content scripts).
+   * @param {*} options Filters: extensionId, level (a level or array of them), since,
+   *   tabId, limit and clear, as for getTabEvents(). Passing a boolean is the same as { clear }.
+   * @param {Object} callOptions Optional { timeout, signal } for this call
+   * @returns Array of console events
+   */
+  async getConsoleMessages(options, callOptions) {
+    const { level, ...filters } = eventOptions(options);
+    if (level) {
+      filters.types = [].concat(level);
+    }
+    return await this._call('getConsoleMessages', filters, callOptions);
+  }
+
+  /////////////////////////
+  // Event Subscriptions //
+  /////////////////////////
+
+  /**
+   * Subscribes to browser events. Event names combine the kind and type of the
+   * event, e.g. 'tabCreated', 'tabActivated', 'tabMoved', 'windowFocusChanged',
+   * 'tabGroupCreated', 'navigationCompleted', 'storageChanged', 'consoleError' or
+   * 'extensionMessageReceived', or '*' for every event.
+   * Each event carries a `seq` number, and events are delivered in order without gaps.
+   * They're pushed as they happen on the WebSocket and BiDi transports; otherwise the
+   * bridge polls for them while anything is subscribed.
+   * @param {string} eventName The event to listen for
+   * @param {Function} handler Called with each event
+   * @returns This bridge, for chaining
+   */
+  on(eventName, handler) {
+    if (!this.eventListeners.has(eventName)) {
+      this.eventListeners.set(eventName, new Set());
+    }
+    this.eventListeners.get(eventName).add(handler);
+
+    if (!this.socket && !this.bidi && !this.pollingEvents) {
+      // Nobody was listening, so start from whatever happens next.
+      this.lastEventSeq = null;
+      this._pollEvents();
+    }
+    return this;
+  }
+
+  /**
+   * Unsubscribes a handler added with on() or once().
+   * @param {string} eventName The event name the handler was added for
+   * @param {Function} handler The handler to remove
+   * @returns This bridge, for chaining
+   */
+  off(eventName, handler) {
+    const handlers = this.eventListeners.get(eventName);
+    if (!handlers) return this;
+
+    for (const h of handlers) {
+      if (h === handler || h.listener === handler) {
+        handlers.delete(h);
+      }
+    }
+    if (handlers.size === 0) {
+      this.eventListeners.delete(eventName);
+    }
+    return this;
+  }
+
+  /**
+   * Subscribes to the next occurrence of a browser event only.
+   * @param {string} eventName The event to listen for (see on())
+   * @param {Function} handler Called with the event
+   * @returns This bridge, for chaining
+   */
+  once(eventName, handler) {
+    const wrapper = (event) => {
+      this.off(eventName, wrapper);
+      handler(event);
+    };
+    wrapper.listener = handler;
+    return this.on(eventName, wrapper);
+  }
 
-    // We navigated away from the bridge page, so mark as not ready.
-    this.ready = false;
+  /**
+   * Gets the sequence number of the newest recorded event. Pass it as `since` to
+   * getTabEvents(), getWindowEvents() or waitForTabEvent() to only see what happens afterwards.
+   * @param {Object} callOptions Optional { timeout, signal } for this call
+   * @returns The newest event's seq, or 0 if nothing has been recorded yet
+   */
+  async getEventCursor(callOptions) {
+    const { lastSeq } = await this._call('getEvents', { since: Number.MAX_SAFE_INTEGER }, callOptions);
+    return lastSeq;
+  }
 
-    return JSON.parse(uuidsJson);
+  /**
+   * Sets how many events each event buffer (tab, window, tab group, navigation, storage,
+   * console, extension message) keeps.
+   * Older events are dropped once a buffer is full. The default is 100.
+   * @param {number} size The number of events to keep per buffer
+   * @param {Object} callOptions Optional { timeout, signal } for this call
+   */
+  async setEventBufferSize(size, callOptions) {
+    if (!Number.isInteger(size) || size < 1) {
+      throw new Error(`[TestBridge] Event buffer size must be a positive integer, got ${size}`);
+    }
+    await this._call('setEventBufferSize', { size }, callOptions);
   }
 
   /**
-   * Returns the internal base URL of an installed extension. This is the URL that
-   * begins with moz-extension://
-   * @param {*} extensionId The extension ID (e.g. 'my-ext@example.com')
-   * @returns The moz-extension:// base URL, or null if not found
+   * Queues an event received from the bridge for delivery to subscribers.
+   * @param {Object} event The event, with its kind and seq
    */
-  async getExtensionUrl(extensionId) {
-    const uuids = await this._getExtensionUuids();
-    const uuid = uuids[extensionId];
-    return uuid ? getExtensionUrlForUuid(uuid) : null;
+  _receiveEvent(event) {
+    this.eventDelivery = this.eventDelivery
+      .then(() => this._deliverEvent(event))
+      .catch(error => console.error('[TestBridge] Event delivery error:', error));
   }
 
   /**
-   * Returns the internal base URL of an installed extension by its manifest name.
-   * Useful for extensions that don't declare a fixed ID in their manifest.
-   * @param {*} name The extension's name as declared in its manifest.json
-   * @returns The moz-extension:// base URL, or null if not found
+   * Delivers an event to subscribers, first catching up on any events with
+   * earlier sequence numbers that didn't reach us.
+   * @param {Object} event The event, with its kind and seq
    */
-  async getExtensionUrlByName(name) {
-    const uuids = await this._getExtensionUuids();
+  async _deliverEvent(event) {
+    if (this.lastEventSeq === null || this.eventListeners.size === 0) {
+      this.lastEventSeq = Math.max(this.lastEventSeq || 0, event.seq);
+      return;
+    }
+    if (event.seq <= this.lastEventSeq) return;
 
-    for (const [, uuid] of Object.entries(uuids)) {
-      const baseUrl = getExtensionUrlForUuid(uuid);
+    if (event.seq > this.lastEventSeq + 1) {
       try {
-        await this.driver.get(`${baseUrl}/manifest.json`);
-        await sleep(300);
-        const pageText = await this.driver.executeScript(() => document.body.textContent);
-        const manifest = JSON.parse(pageText);
-        if (manifest.name === name) {
-          return baseUrl;
+        const { events } = await this._fetchEvents(this.lastEventSeq);
+        for (const missed of events) {
+          if (missed.seq < event.seq) {
+            this._emitEvent(missed);
+          }
         }
-      } catch (e) {
-        // Not accessible or not valid JSON, try next
+      } catch (error) {
+        console.log(`  [events] Could not fetch missed events: ${error.message}`);
       }
     }
-    return null;
+
+    this._emitEvent(event);
   }
 
   /**
-   * Clicks an extension's toolbar button.
-   * Requires Firefox to be launched with `-remote-allow-system-access`:
-   *   launchBrowser({ firefoxArgs: ['-remote-allow-system-access'] })
-   * @param {string} extensionId The extension's ID, for example 'my-ext@example.com'
+   * Calls the handlers subscribed to an event.
+   * @param {Object} event The event, with its kind and seq
    */
-  async clickBrowserAction(extensionId) {
-    const { Command } = require('selenium-webdriver/lib/command');
+  _emitEvent(event) {
+    if (event.seq <= this.lastEventSeq) return;
+    this.lastEventSeq = event.seq;
 
-    await this.driver.execute(
-      new Command('setContext').setParameter('context', 'chrome')
-    );
+    for (const eventName of [eventNameFor(event), '*']) {
+      for (const handler of [...(this.eventListeners.get(eventName) || [])]) {
+        try {
+          handler(event);
+        } catch (error) {
+          console.error(`[TestBridge] Error in '${eventName}' handler:`, error);
+        }
+      }
+    }
+  }
 
-    try {
-      // Open the unified extensions panel (puzzle piece icon.)
-      await this.driver.executeScript(() => {
-        document.getElementById('unified-extensions-button').click();
-      });
-      await sleep(500);
+  /**
+   * Moves the event cursor to the newest event, unless we're already tracking one.
+   * Called when a push transport connects.
+   */
+  async _syncEventCursor() {
+    if (this.lastEventSeq !== null) return;
+    const { lastSeq } = await this._call('getEvents', { since: Number.MAX_SAFE_INTEGER });
+    this.lastEventSeq = lastSeq;
+  }
 
-      // Click the extension's action button.
-      const normalizedId = normalizeExtensionId(extensionId);
-      await this.driver.executeScript((id) => {
-        const btn = document.getElementById(id);
-        if (!btn) throw new Error(`Extension button "${id}" not found in panel`);
-        btn.click();
-      }, `${normalizedId}-BAP`);
-    } finally {
-      await this.driver.execute(
-        new Command('setContext').setParameter('context', 'content')
-      );
+  /**
+   * Goes back to polling for events after a push transport disconnects, if
+   * anything is still subscribed.
+   */
+  _resumeEventPolling() {
+    if (this.eventListeners.size > 0 && !this.socket && !this.bidi && !this.pollingEvents) {
+      this._pollEvents();
     }
   }
 
   /**
-   * Clicks an extension's page action button in the URL bar.
-   * Requires Firefox to be launched with `-remote-allow-system-access`:
-   *   launchBrowser({ firefoxArgs: ['-remote-allow-system-access'] })
-   * @param {string} extensionId The extension's ID, for example 'my-ext@example.com'
+   * Polls the bridge for new events while anything is subscribed and no push
+   * transport is connected.
    */
-  async clickPageAction(extensionId) {
-    const { Command } = require('selenium-webdriver/lib/command');
+  async _pollEvents() {
+    this.pollingEvents = true;
+    let lastError = null;
+
+    while (this.eventListeners.size > 0 && !this.socket && !this.bidi) {
+      // Polls run alongside the test, so they wait for the test's own calls to
+      // (re-)initialize the bridge rather than navigating away from its page.
+      if (this.ready) {
+        try {
+          // Start from the newest event, we only want what happens after subscribing.
+          const since = this.lastEventSeq === null ? Number.MAX_SAFE_INTEGER : this.lastEventSeq;
+          const { events, lastSeq } = await this._fetchEvents(since);
+          if (this.lastEventSeq === null) {
+            this.lastEventSeq = lastSeq;
+          }
+          for (const event of events) {
+            this._receiveEvent(event);
+          }
+          lastError = null;
+        } catch (error) {
+          // Usually the focused page can't host the bridge right now; try again shortly.
+          if (error.message !== lastError) {
+            console.log(`  [events] Polling failed, retrying: ${error.message}`);
+            lastError = error.message;
+          }
+        }
+      }
+      await new Promise(resolve => setTimeout(resolve, EVENT_POLL_INTERVAL).unref());
+    }
 
-    await this.driver.execute(
-      new Command('setContext').setParameter('context', 'chrome')
-    );
+    this.pollingEvents = false;
+  }
 
-    try {
-      const normalizedId = normalizeExtensionId(extensionId);
+  /**
+   * Reads recorded events for delivery to subscribers. Unlike _call(), this never
+   * runs ensureReady(), so it doesn't initialize the bridge or open the test-api.html
+   * fallback while the test is using Selenium.
+   * @param {number} since Only return events with a greater seq
+   * @returns {Object} { events, lastSeq }
+   */
+  async _fetchEvents(since) {
+    if (this.socket || this.bidi) {
+      return await this._call('getEvents', { since });
+    }
 
-      const result = await this.driver.executeScript((id) => {
-        // The URL bar page action button ID follows the pattern:
-        //   pageAction-urlbar-<normalizedExtensionId>
-        // This button only exists in the DOM when the page action is visible
-        // for the current tab. There's also a pageAction-panel-<id> button
-        // in the overflow panel that always exists — we intentionally skip it.
-        const urlbarId = 'pageAction-urlbar-' + id;
-        let btn = document.getElementById(urlbarId);
-        if (btn) {
-          btn.click();
-          return { found: true, buttonId: urlbarId };
-        }
+    const request = {
+      since,
+      requestId: crypto.randomUUID(),
+      requestTimeout: this.callTimeout,
+      bridgeSecret: this.secret
+    };
+    await this._ensureScriptTimeout(this.callTimeout + CALL_TIMEOUT_MARGIN * 2);
+    return await this._onChannel(() => this._executeOnPage('getEvents', request));
+  }
 
-        // Not found — collect available page action IDs for diagnostics.
-        const available = [];
-        const container = document.getElementById('page-action-buttons');
-        if (container) {
-          container.querySelectorAll('*[id]').forEach(el => available.push(el.id));
-        }
-        // Also note any panel buttons for this extension.
-        document.querySelectorAll(`[id*="${id}"]`).forEach(el => {
-          available.push(el.id + ' (panel/overflow)');
-        });
-        return { found: false, available };
-      }, normalizedId);
+  //////////////
+  // Batching //
+  //////////////
 
-      if (!result.found) {
-        throw new Error(
-          `Page action button not found for "${extensionId}" (normalized: "${normalizedId}"). ` +
-          `Available buttons in #page-action-buttons: [${result.available.join(', ')}]`
-        );
-      }
-    } finally {
-      await this.driver.execute(
-        new Command('setContext').setParameter('context', 'content')
-      );
-    }
+  /**
+   * Runs several bridge actions in one round trip. Each step is an action name plus
+   * its parameters as the background script takes them, e.g.
+   * { action: 'updateTab', tabId, active: true }. Steps run in order, and a step can
+   * use an earlier result through batchResult(index, path).
+   * @param {Array} steps The steps, e.g. [{ action: 'createTab', url }, { action: 'pinTab', tabId: batchResult(0, 'id') }]
+   * @param {Object} callOptions Optional { timeout, signal } for the whole batch
+   * @returns Array with each step's result
+   * @throws {BridgeError} The first failing step's error, with details.index and the
+   *   earlier steps' details.results
+   */
+  async batch(steps, callOptions) {
+    const request = steps.map(({ action, ...params }) => ({
+      action: BATCH_ACTION_ALIASES[action] || action,
+      ...params
+    }));
+    return await this._call('batch', { steps: request }, callOptions);
   }
 
-  //////////////////////////
-  // Extension Forwarding //
-  //////////////////////////
+  ////////////////////
+  // Access Control //
+  ////////////////////
 
   /**
-   * Sends a message to another extension.
-   * @param {*} targetExtensionId The ID of the extension to send the message to
-   * @param {*} payload The message payload to send
-   * @returns The response from the target extension
+   * Restricts which pages the bridge content script injects window.TestBridge into.
+   * Pages that are already open keep it until they reload, but their requests are
+   * refused. The bridge page making the call always stays allowed.
+   * @param {string[]|null} origins Origins such as 'http://127.0.0.1:8080', or null to allow every page
+   * @param {Object} callOptions Optional { timeout, signal } for this call
+   * @returns The allowed origins, or null
    */
-  async sendToExtension(targetExtensionId, payload) {
-    await this.ensureReady();
-    return await this.driver.executeScript((target, msg) => {
-      return window.TestBridge.forwardToExtension(target, msg);
-    }, targetExtensionId, payload);
+  async setAllowedOrigins(origins, callOptions) {
+    this.allowedOrigins = origins || null;
+    return await this._call('setAllowedOrigins', { origins: this.allowedOrigins }, callOptions);
   }
 
   /////////////////
@@ -312,47 +2301,39 @@ class TestBridge {
 
   /**
    * Gets all available tabs.
+   * @param {Object} callOptions Optional { timeout, signal } for this call
    * @return Array of all tabs
    */
-  async getTabs() {
-    await this.ensureReady();
-    return await this.driver.executeScript(() => {
-      return window.TestBridge.getTabs();
-    });
+  async getTabs(callOptions) {
+    return await this._call('getTabs', {}, callOptions);
   }
 
   /**
    * Gets a single tab based on its ID.
    * @param {*} tabId The ID of a tab, see the results of getTabs()
+   * @param {Object} callOptions Optional { timeout, signal } for this call
    * @returns The tab requested.
    */
-  async getTabById(tabId) {
-    await this.ensureReady();
-    return await this.driver.executeScript((id) => {
-      return window.TestBridge.getTabById(id);
-    }, tabId);
+  async getTabById(tabId, callOptions) {
+    return await this._call('getTabById', { tabId }, callOptions);
   }
 
   /**
    * Gets the currently active tab in the current window.
+   * @param {Object} callOptions Optional { timeout, signal } for this call
    * @returns The active tab
    */
-  async getActiveTab() {
-    await this.ensureReady();
-    return await this.driver.executeScript(() => {
-      return window.TestBridge.getActiveTab();
-    });
+  async getActiveTab(callOptions) {
+    return await this._call('getActiveTab', {}, callOptions);
   }
 
   /**
    * Gets all tab groups.
+   * @param {Object} callOptions Optional { timeout, signal } for this call
    * @returns Array of tab groups, or empty array if not supported
    */
-  async getTabGroups() {
-    await this.ensureReady();
-    return await this.driver.executeScript(() => {
-      return window.TestBridge.getTabGroups();
-    });
+  async getTabGroups(callOptions) {
+    return await this._call('getTabGroups', {}, callOptions);
   }
 
   ///////////////////
@@ -363,36 +2344,33 @@ class TestBridge {
    * Opens a new tab.
    * @param {*} url The URL to open in the new tab
    * @param {*} active Whether the tab should become the active tab
+   * @param {Object} callOptions Optional { timeout, signal } for this call
    * @returns The created tab
    */
-  async createTab(url, active) {
-    await this.ensureReady();
-    return await this.driver.executeScript((u, a) => {
-      return window.TestBridge.createTab(u, a);
-    }, url, active);
+  async createTab(url, active, callOptions) {
+    return await this._call('createTab', { url, active }, callOptions);
   }
 
   /**
    * Closes a tab.
    * @param {*} tabId The ID of the tab to close
+   * @param {Object} callOptions Optional { timeout, signal } for this call
    * @returns Status
    */
-  async closeTab(tabId) {
-    await this.ensureReady();
-    return await this.driver.executeScript((id) => {
-      return window.TestBridge.closeTab(id);
-    }, tabId);
+  async closeTab(tabId, callOptions) {
+    return await this._call('closeTab', { tabId }, callOptions);
   }
 
   /**
    * Closes all tabs except for the one Selenium is currently focused on.
+   * The dedicated bridge window is left open in 'window' channel mode.
    */
   async closeOtherTabsAndWindows() {
     const currentHandle = await this.driver.getWindowHandle();
     const handles = await this.driver.getAllWindowHandles();
 
     for (const handle of handles) {
-      if (handle !== currentHandle) {
+      if (handle !== currentHandle && handle !== this.channelHandle) {
         await this.driver.switchTo().window(handle);
         await this.driver.close();
       }
@@ -405,25 +2383,21 @@ class TestBridge {
    * Updates properties of a tab.
    * @param {*} tabId The ID of the tab to update
    * @param {*} props An object of tab properties to update (e.g. url, active)
+   * @param {Object} callOptions Optional { timeout, signal } for this call
    * @returns The updated tab
    */
-  async updateTab(tabId, props) {
-    await this.ensureReady();
-    return await this.driver.executeScript((id, p) => {
-      return window.TestBridge.updateTab(id, p);
-    }, tabId, props);
+  async updateTab(tabId, props, callOptions) {
+    return await this._call('updateTab', { tabId, ...props }, callOptions);
   }
 
   /**
    * Reloads/refreshes a tab.
    * @param {*} tabId The ID of the tab to reload
+   * @param {Object} callOptions Optional { timeout, signal } for this call
    * @returns Status
    */
-  async reloadTab(tabId) {
-    await this.ensureReady();
-    return await this.driver.executeScript((id) => {
-      return window.TestBridge.reloadTab(id);
-    }, tabId);
+  async reloadTab(tabId, callOptions) {
+    return await this._call('reloadTab', { tabId }, callOptions);
   }
 
   ///////////////
@@ -434,61 +2408,52 @@ class TestBridge {
    * Moves a tab to a new position.
    * @param {*} tabId The ID of the tab to move
    * @param {*} index The target index to move the tab to
+   * @param {*} windowId Optional ID of another window to move the tab into
+   * @param {Object} callOptions Optional { timeout, signal } for this call
    * @returns The moved tab
    */
-  async moveTab(tabId, index) {
-    await this.ensureReady();
-    return await this.driver.executeScript((id, idx) => {
-      return window.TestBridge.moveTab(id, idx);
-    }, tabId, index);
+  async moveTab(tabId, index, windowId, callOptions) {
+    return await this._call('moveTab', { tabId, index, windowId }, callOptions);
   }
 
   /**
    * Pins a tab.
    * @param {*} tabId The ID of the tab to pin
+   * @param {Object} callOptions Optional { timeout, signal } for this call
    * @returns The pinned tab
    */
-  async pinTab(tabId) {
-    await this.ensureReady();
-    return await this.driver.executeScript((id) => {
-      return window.TestBridge.pinTab(id);
-    }, tabId);
+  async pinTab(tabId, callOptions) {
+    return await this._call('pinTab', { tabId }, callOptions);
   }
 
   /**
    * Unpins a tab.
    * @param {*} tabId The ID of the tab to unpin
+   * @param {Object} callOptions Optional { timeout, signal } for this call
    * @returns The unpinned tab
    */
-  async unpinTab(tabId) {
-    await this.ensureReady();
-    return await this.driver.executeScript((id) => {
-      return window.TestBridge.unpinTab(id);
-    }, tabId);
+  async unpinTab(tabId, callOptions) {
+    return await this._call('unpinTab', { tabId }, callOptions);
   }
 
   /**
    * Mutes a tab.
    * @param {*} tabId The ID of the tab to mute
+   * @param {Object} callOptions Optional { timeout, signal } for this call
    * @returns The muted tab
    */
-  async muteTab(tabId) {
-    await this.ensureReady();
-    return await this.driver.executeScript((id) => {
-      return window.TestBridge.muteTab(id);
-    }, tabId);
+  async muteTab(tabId, callOptions) {
+    return await this._call('muteTab', { tabId }, callOptions);
   }
 
   /**
    * Unmutes a tab.
    * @param {*} tabId The ID of the tab to unmute
+   * @param {Object} callOptions Optional { timeout, signal } for this call
    * @returns The unmuted tab
    */
-  async unmuteTab(tabId) {
-    await this.ensureReady();
-    return await this.driver.executeScript((id) => {
-      return window.TestBridge.unmuteTab(id);
-    }, tabId);
+  async unmuteTab(tabId, callOptions) {
+    return await this._call('unmuteTab', { tabId }, callOptions);
   }
 
   /**
@@ -497,25 +2462,45 @@ class TestBridge {
    * @param {*} title The title for the tab group
    * @param {*} color The color for the tab group; defaults to 'blue'
    * @param {*} groupId Optional existing group ID to add tabs to
+   * @param {Object} callOptions Optional { timeout, signal } for this call
    * @returns The tab group
    */
-  async groupTabs(tabIds, title, color = 'blue', groupId = null) {
-    await this.ensureReady();
-    return await this.driver.executeScript((ids, t, c, gid) => {
-      return window.TestBridge.groupTabs(ids, t, c, gid);
-    }, tabIds, title, color, groupId);
+  async groupTabs(tabIds, title, color = 'blue', groupId = null, callOptions) {
+    return await this._call('groupTabs', { tabIds, title, color, groupId }, callOptions);
   }
 
   /**
    * Removes tabs from their group.
    * @param {*} tabIds Array of tab IDs to ungroup
+   * @param {Object} callOptions Optional { timeout, signal } for this call
    * @returns Status
    */
-  async ungroupTabs(tabIds) {
-    await this.ensureReady();
-    return await this.driver.executeScript((ids) => {
-      return window.TestBridge.ungroupTabs(ids);
-    }, tabIds);
+  async ungroupTabs(tabIds, callOptions) {
+    return await this._call('ungroupTabs', { tabIds }, callOptions);
+  }
+
+  /**
+   * Gets recorded tab group events (created, updated, moved, removed), oldest first.
+   * @param {*} options Filters: since, groupId, types, limit and clear, as for
+   *   getTabEvents(). Passing a boolean is the same as { clear }.
+   * @param {Object} callOptions Optional { timeout, signal } for this call
+   * @returns Array of tab group events
+   */
+  async getTabGroupEvents(options, callOptions) {
+    options = eventOptions(options);
+    return await this._call('getTabGroupEvents', options, callOptions);
+  }
+
+  /**
+   * Waits for a tab group event to appear in the event buffer.
+   * @param {*} eventType The event type to wait for (e.g. 'created', 'removed'), or
+   *   filters: types, groupId, since and predicate
+   * @param {*} timeout Maximum time to wait in milliseconds; defaults to 10000
+   * @param {Object} callOptions Optional { signal } that aborts the wait
+   * @returns The matching event, or null if timed out
+   */
+  async waitForTabGroupEvent(eventType, timeout = 10000, callOptions = {}) {
+    return await this._waitForEvent('tabGroup', options => this.getTabGroupEvents(options), eventType, timeout, callOptions.signal);
   }
 
   //////////////////////////////
@@ -526,25 +2511,39 @@ class TestBridge {
    * Executes JavaScript in a specific tab.
    * @param {*} tabId The ID of the tab to execute code in
    * @param {*} code The JavaScript code to execute
+   * @param {Object} callOptions Optional { timeout, signal } for this call
    * @returns The execution result, if any
    */
-  async executeInTab(tabId, code) {
-    await this.ensureReady();
-    return await this.driver.executeScript((id, c) => {
-      return window.TestBridge.executeInTab(id, c);
-    }, tabId, code);
+  async executeInTab(tabId, code, callOptions) {
+    return await this._call('executeInTab', { tabId, code }, callOptions);
   }
 
   /**
-   * Gets recorded tab events.
-   * @param {*} clear Whether to clear the events after retrieving them
+   * Gets recorded tab events, oldest first.
+   * @param {*} options Filters: since (only events after this seq, see getEventCursor()),
+   *   tabId, types (array of event types), limit (at most this many), and clear (empty
+   *   the buffer after reading). Passing a boolean is the same as { clear }.
+   * @param {Object} callOptions Optional { timeout, signal } for this call
    * @returns Array of tab events
    */
-  async getTabEvents(clear) {
-    await this.ensureReady();
-    return await this.driver.executeScript((c) => {
-      return window.TestBridge.getTabEvents(c);
-    }, clear);
+  async getTabEvents(options, callOptions) {
+    options = eventOptions(options);
+    return await this._call('getTabEvents', options, callOptions);
+  }
+
+  /**
+   * Gets recorded webNavigation events for every tab and frame, oldest first. Types are
+   * 'beforeNavigate', 'committed', 'DOMContentLoaded', 'completed', 'errorOccurred',
+   * 'historyStateUpdated' and 'referenceFragmentUpdated'; each event carries the
+   * webNavigation details (tabId, frameId, url, ...).
+   * @param {*} options Filters: since, tabId, frameId, types, limit and clear, as for
+   *   getTabEvents(). Passing a boolean is the same as { clear }.
+   * @param {Object} callOptions Optional { timeout, signal } for this call
+   * @returns Array of navigation events
+   */
+  async getNavigationEvents(options, callOptions) {
+    options = eventOptions(options);
+    return await this._call('getNavigationEvents', options, callOptions);
   }
 
   /////////////////
@@ -555,15 +2554,17 @@ class TestBridge {
    * Waits until the number of open tabs matches the expected count.
    * @param {*} expectedCount The expected number of tabs
    * @param {*} timeout Maximum time to wait in milliseconds; defaults to 10000
+   * @param {Object} callOptions Optional { signal } that aborts the wait
    * @returns True if the expected count was reached, false if timed out
    */
-  async waitForTabCount(expectedCount, timeout = 10000) {
+  async waitForTabCount(expectedCount, timeout = 10000, { signal } = {}) {
     const startTime = Date.now();
     let lastCount = -1;
 
     while (Date.now() - startTime < timeout) {
+      throwIfAborted(signal);
       try {
-        const tabs = await this.getTabs();
+        const tabs = await this.getTabs({ signal });
 
         if (tabs.length !== lastCount) {
           console.log(`  [waitForTabCount] Current: ${tabs.length}, Expected: ${expectedCount}`);
@@ -571,16 +2572,19 @@ class TestBridge {
         }
 
         if (tabs.length === expectedCount) {
-          await sleep(2000);
-          const verifyTabs = await this.getTabs();
+          await sleepUnlessAborted(2000, signal);
+          const verifyTabs = await this.getTabs({ signal });
           if (verifyTabs.length === expectedCount) {
             return true;
           }
         }
-        await sleep(1000);
+        await sleepUnlessAborted(1000, signal);
       } catch (error) {
+        if (error instanceof BridgeAbortError) {
+          throw error;
+        }
         console.log(`  [waitForTabCount] Temporary error: ${error.message}`);
-        await sleep(1000);
+        await sleepUnlessAborted(1000, signal);
       }
     }
 
@@ -591,56 +2595,212 @@ class TestBridge {
    * Waits for a tab with a URL matching the given pattern.
    * @param {*} pattern The URL pattern to match
    * @param {*} timeout Maximum time to wait in milliseconds; defaults to 10000
+   * @param {Object} callOptions Optional { timeout, signal } for this call
    * @returns The matching tab
    */
-  async waitForTabUrl(pattern, timeout = 10000) {
-    await this.ensureReady();
-    return await this.driver.executeScript((p, t) => {
-      return window.TestBridge.waitForTabUrl(p, t);
-    }, pattern, timeout);
+  async waitForTabUrl(pattern, timeout = 10000, callOptions) {
+    return await this._call('waitForTabUrl', { pattern, timeout }, {
+      timeout: timeout + CALL_TIMEOUT_MARGIN,
+      ...callOptions
+    });
   }
 
   /**
-   * Waits for a specific tab event type to appear in the event buffer.
-   * @param {*} eventType The event type to wait for (e.g. 'created', 'updated', 'removed')
+   * Waits for a tab event to appear in the event buffer.
+   * @param {*} eventType The event type to wait for (e.g. 'created', 'updated', 'removed'),
+   *   or filters: types, tabId, since (ignore events up to this seq) and predicate
+   *   (a function the event must pass)
    * @param {*} timeout Maximum time to wait in milliseconds; defaults to 10000
+   * @param {Object} callOptions Optional { signal } that aborts the wait
    * @returns The matching event, or null if timed out
    */
-  async waitForTabEvent(eventType, timeout = 10000) {
-    const startTime = Date.now();
+  async waitForTabEvent(eventType, timeout = 10000, callOptions = {}) {
+    return await this._waitForEvent('tab', options => this.getTabEvents(options), eventType, timeout, callOptions.signal);
+  }
 
-    while (Date.now() - startTime < timeout) {
+  /**
+   * Waits for a tab to become the active tab in its window.
+   * @param {number} tabId The ID of the tab
+   * @param {number} timeout Maximum time to wait in milliseconds; defaults to 10000
+   * @param {Object} callOptions Optional { signal } that aborts the wait
+   * @returns The 'activated' event, or null if timed out
+   */
+  async waitForTabActivated(tabId, timeout = 10000, callOptions = {}) {
+    return await this.waitForTabEvent({ types: ['activated'], tabId }, timeout, callOptions);
+  }
+
+  /**
+   * Waits for a tab to move within its window.
+   * @param {number} tabId The ID of the tab
+   * @param {number} timeout Maximum time to wait in milliseconds; defaults to 10000
+   * @param {Object} callOptions Optional { signal } that aborts the wait
+   * @returns The 'moved' event (with moveInfo), or null if timed out
+   */
+  async waitForTabMoved(tabId, timeout = 10000, callOptions = {}) {
+    return await this.waitForTabEvent({ types: ['moved'], tabId }, timeout, callOptions);
+  }
+
+  /**
+   * Waits for a tab to be attached to a window.
+   * @param {number} tabId The ID of the tab
+   * @param {number} windowId Optional ID of the window it should be attached to
+   * @param {number} timeout Maximum time to wait in milliseconds; defaults to 10000
+   * @param {Object} callOptions Optional { signal } that aborts the wait
+   * @returns The 'attached' event (with attachInfo), or null if timed out
+   */
+  async waitForTabAttached(tabId, windowId, timeout = 10000, callOptions = {}) {
+    return await this.waitForTabEvent({
+      types: ['attached'],
+      tabId,
+      predicate: e => windowId === undefined || windowId === null || e.attachInfo.newWindowId === windowId
+    }, timeout, callOptions);
+  }
+
+  /**
+   * Waits for a tab to be detached from its window.
+   * @param {number} tabId The ID of the tab
+   * @param {number} timeout Maximum time to wait in milliseconds; defaults to 10000
+   * @param {Object} callOptions Optional { signal } that aborts the wait
+   * @returns The 'detached' event (with detachInfo), or null if timed out
+   */
+  async waitForTabDetached(tabId, timeout = 10000, callOptions = {}) {
+    return await this.waitForTabEvent({ types: ['detached'], tabId }, timeout, callOptions);
+  }
+
+  /**
+   * Waits for a tab to be replaced by another one (e.g. by prerendering).
+   * @param {number} removedTabId The ID of the tab that gets replaced
+   * @param {number} timeout Maximum time to wait in milliseconds; defaults to 10000
+   * @param {Object} callOptions Optional { signal } that aborts the wait
+   * @returns The 'replaced' event (tabId is the new tab), or null if timed out
+   */
+  async waitForTabReplaced(removedTabId, timeout = 10000, callOptions = {}) {
+    return await this.waitForTabEvent({
+      types: ['replaced'],
+      predicate: e => e.removedTabId === removedTabId
+    }, timeout, callOptions);
+  }
+
+  /**
+   * Waits for a tab to be part of the highlighted tabs in its window.
+   * @param {number} tabId The ID of the tab
+   * @param {number} timeout Maximum time to wait in milliseconds; defaults to 10000
+   * @param {Object} callOptions Optional { signal } that aborts the wait
+   * @returns The 'highlighted' event (with tabIds and windowId), or null if timed out
+   */
+  async waitForTabHighlighted(tabId, timeout = 10000, callOptions = {}) {
+    return await this.waitForTabEvent({ types: ['highlighted'], tabId }, timeout, callOptions);
+  }
+
+  /**
+   * Waits for a navigation in a tab, as recorded by webNavigation. Unlike waitForTabLoad()
+   * this sees redirects, pushState and fragment navigations, and failed loads.
+   * Already-recorded navigations count, pass `since: await bridge.getEventCursor()`
+   * to only wait for new ones.
+   * @param {number} tabId The ID of the tab
+   * @param {Object} options Which navigation to wait for
+   * @param {string|RegExp} options.url A URL substring or pattern the navigation must match
+   * @param {string} options.event The navigation event type; defaults to 'completed'
+   * @param {number} options.frameId The frame to watch; defaults to 0 (the top-level frame)
+   * @param {number} options.since Ignore events up to this seq
+   * @param {number} timeout Maximum time to wait in milliseconds; defaults to 10000
+   * @param {Object} callOptions Optional { signal } that aborts the wait
+   * @returns The navigation event, or null if timed out
+   */
+  async waitForNavigation(tabId, options = {}, timeout = 10000, callOptions = {}) {
+    const { url, event = 'completed', frameId = 0, since } = options;
+    const urlMatches = (eventUrl) => {
+      if (url === undefined || url === null) return true;
+      return url instanceof RegExp ? url.test(eventUrl) : eventUrl.includes(url);
+    };
+    return await this._waitForEvent('navigation', filter => this.getNavigationEvents(filter), {
+      types: [event],
+      tabId,
+      frameId,
+      since,
+      predicate: e => urlMatches(e.url)
+    }, timeout, callOptions.signal);
+  }
+
+  /**
+   * Shared implementation of the waitFor*Event() helpers. Checks the buffered events
+   * first, then waits for a matching event to be delivered.
+   * @param {string} kind The event kind, e.g. 'tab', 'navigation' or 'extensionMessage'
+   * @param {Function} getEvents Reads the buffered events of that kind with filters
+   * @param {*} eventType An event type, or filters with an optional predicate
+   * @param {number} timeout Maximum time to wait in milliseconds
+   * @param {AbortSignal} signal Optional signal that aborts the wait
+   * @returns The matching event, or null if timed out
+   */
+  async _waitForEvent(kind, getEvents, eventType, timeout, signal) {
+    const { predicate, ...filter } = typeof eventType === 'string' ? { types: [eventType] } : eventType;
+    const matches = e => eventMatches(e, filter) && (!predicate || predicate(e));
+    throwIfAborted(signal);
+
+    // Everything up to the cursor is in the buffer read below, and subscribers get
+    // everything after it, so nothing recorded in between is missed.
+    const cursor = await this.getEventCursor({ signal });
+
+    let handler;
+    let timer;
+    let onAbort;
+    const next = new Promise((resolve, reject) => {
+      handler = (event) => {
+        if (event.kind === kind && matches(event)) resolve(event);
+      };
+      timer = setTimeout(() => resolve(null), timeout);
+      onAbort = () => reject(new BridgeAbortError('[TestBridge] Wait was aborted'));
+    });
+    this.on('*', handler);
+    if (this.lastEventSeq === null) {
+      this.lastEventSeq = cursor;
+    }
+    if (signal) {
+      signal.addEventListener('abort', onAbort, { once: true });
+    }
+
+    try {
+      // The event may already have happened.
       try {
-        const events = await this.getTabEvents();
-        const match = events.find(e => e.type === eventType);
+        const events = await getEvents(filter);
+        const match = events.find(matches);
         if (match) return match;
-        await sleep(500);
       } catch (error) {
-        console.log(`  [waitForTabEvent] Temporary error: ${error.message}`);
-        await sleep(500);
+        console.log(`  [waitFor${kind.charAt(0).toUpperCase() + kind.slice(1)}Event] Temporary error: ${error.message}`);
       }
-    }
 
-    return null;
+      return await next;
+    } finally {
+      clearTimeout(timer);
+      this.off('*', handler);
+      if (signal) {
+        signal.removeEventListener('abort', onAbort);
+      }
+    }
   }
 
   /**
    * Waits for a tab to finish loading.
    * @param {number} tabId The ID of the tab to wait for
    * @param {number} timeout Maximum time to wait in milliseconds; defaults to 10000
+   * @param {Object} callOptions Optional { signal } that aborts the wait
    * @returns The tab object once loaded, or null on timeout
    */
-  async waitForTabLoad(tabId, timeout = 10000) {
+  async waitForTabLoad(tabId, timeout = 10000, { signal } = {}) {
     const startTime = Date.now();
 
     while (Date.now() - startTime < timeout) {
+      throwIfAborted(signal);
       try {
-        const tab = await this.getTabById(tabId);
+        const tab = await this.getTabById(tabId, { signal });
         if (tab && tab.status === 'complete') return tab;
-      } catch (e) {
+      } catch (error) {
+        if (error instanceof BridgeAbortError) {
+          throw error;
+        }
         // Tab may not exist yet, keep polling.
       }
-      await sleep(250);
+      await sleepUnlessAborted(250, signal);
     }
 
     return null;
@@ -652,63 +2812,53 @@ class TestBridge {
 
   /**
    * Gets all open browser windows.
+   * @param {Object} callOptions Optional { timeout, signal } for this call
    * @returns Array of all windows
    */
-  async getWindows() {
-    await this.ensureReady();
-    return await this.driver.executeScript(() => {
-      return window.TestBridge.getWindows();
-    });
+  async getWindows(callOptions) {
+    return await this._call('getWindows', {}, callOptions);
   }
 
   /**
    * Opens a new browser window.
    * @param {*} url The URL to open in the new window
    * @param {*} options Optional window properties (type, state, width, height, left, top)
+   * @param {Object} callOptions Optional { timeout, signal } for this call
    * @returns The created window
    */
-  async createWindow(url, options) {
-    await this.ensureReady();
-    return await this.driver.executeScript((u, opts) => {
-      return window.TestBridge.createWindow(u, opts);
-    }, url, options);
+  async createWindow(url, options, callOptions) {
+    return await this._call('createWindow', { url, ...options }, callOptions);
   }
 
   /**
    * Closes a browser window.
    * @param {*} windowId The ID of the window to close
+   * @param {Object} callOptions Optional { timeout, signal } for this call
    * @returns Status
    */
-  async closeWindow(windowId) {
-    await this.ensureReady();
-    return await this.driver.executeScript((id) => {
-      return window.TestBridge.closeWindow(id);
-    }, windowId);
+  async closeWindow(windowId, callOptions) {
+    return await this._call('closeWindow', { windowId }, callOptions);
   }
 
   /**
    * Gets a single window based on its ID.
    * @param {*} windowId The ID of the window
+   * @param {Object} callOptions Optional { timeout, signal } for this call
    * @returns The window requested, with populated tabs
    */
-  async getWindowById(windowId) {
-    await this.ensureReady();
-    return await this.driver.executeScript((id) => {
-      return window.TestBridge.getWindowById(id);
-    }, windowId);
+  async getWindowById(windowId, callOptions) {
+    return await this._call('getWindowById', { windowId }, callOptions);
   }
 
   /**
    * Updates properties of a window.
    * @param {*} windowId The ID of the window to update
    * @param {*} props An object of window properties to update (e.g. state, width, height, left, top, focused)
+   * @param {Object} callOptions Optional { timeout, signal } for this call
    * @returns The updated window
    */
-  async updateWindow(windowId, props) {
-    await this.ensureReady();
-    return await this.driver.executeScript((id, p) => {
-      return window.TestBridge.updateWindow(id, p);
-    }, windowId, props);
+  async updateWindow(windowId, props, callOptions) {
+    return await this._call('updateWindow', { windowId, ...props }, callOptions);
   }
 
   /////////////////////
@@ -716,30 +2866,55 @@ class TestBridge {
   /////////////////////
 
   /**
-   * Gets recorded window events.
-   * @param {*} clear Whether to clear the events after retrieving them
+   * Gets recorded window events, oldest first.
+   * @param {*} options Filters: since, windowId, types, limit and clear, as for
+   *   getTabEvents(). Passing a boolean is the same as { clear }.
+   * @param {Object} callOptions Optional { timeout, signal } for this call
    * @returns Array of window events
    */
-  async getWindowEvents(clear) {
-    await this.ensureReady();
-    return await this.driver.executeScript((c) => {
-      return window.TestBridge.getWindowEvents(c);
-    }, clear);
+  async getWindowEvents(options, callOptions) {
+    options = eventOptions(options);
+    return await this._call('getWindowEvents', options, callOptions);
+  }
+
+  /**
+   * Waits for a window event to appear in the event buffer.
+   * @param {*} eventType The event type to wait for ('created', 'removed' or 'focusChanged'),
+   *   or filters: types, windowId, since and predicate
+   * @param {*} timeout Maximum time to wait in milliseconds; defaults to 10000
+   * @param {Object} callOptions Optional { signal } that aborts the wait
+   * @returns The matching event, or null if timed out
+   */
+  async waitForWindowEvent(eventType, timeout = 10000, callOptions = {}) {
+    return await this._waitForEvent('window', options => this.getWindowEvents(options), eventType, timeout, callOptions.signal);
+  }
+
+  /**
+   * Waits for a window to gain focus.
+   * @param {number} windowId The ID of the window
+   * @param {number} timeout Maximum time to wait in milliseconds; defaults to 10000
+   * @param {Object} callOptions Optional { signal } that aborts the wait
+   * @returns The 'focusChanged' event, or null if timed out
+   */
+  async waitForWindowFocus(windowId, timeout = 10000, callOptions = {}) {
+    return await this.waitForWindowEvent({ types: ['focusChanged'], windowId }, timeout, callOptions);
   }
 
   /**
    * Waits until the number of open windows matches the expected count.
    * @param {*} expectedCount The expected number of windows
    * @param {*} timeout Maximum time to wait in milliseconds; defaults to 10000
+   * @param {Object} callOptions Optional { signal } that aborts the wait
    * @returns True if the expected count was reached, false if timed out
    */
-  async waitForWindowCount(expectedCount, timeout = 10000) {
+  async waitForWindowCount(expectedCount, timeout = 10000, { signal } = {}) {
     const startTime = Date.now();
     let lastCount = -1;
 
     while (Date.now() - startTime < timeout) {
+      throwIfAborted(signal);
       try {
-        const windows = await this.getWindows();
+        const windows = await this.getWindows({ signal });
 
         if (windows.length !== lastCount) {
           console.log(`  [waitForWindowCount] Current: ${windows.length}, Expected: ${expectedCount}`);
@@ -747,16 +2922,19 @@ class TestBridge {
         }
 
         if (windows.length === expectedCount) {
-          await sleep(2000);
-          const verifyWindows = await this.getWindows();
+          await sleepUnlessAborted(2000, signal);
+          const verifyWindows = await this.getWindows({ signal });
           if (verifyWindows.length === expectedCount) {
             return true;
           }
         }
-        await sleep(1000);
+        await sleepUnlessAborted(1000, signal);
       } catch (error) {
+        if (error instanceof BridgeAbortError) {
+          throw error;
+        }
         console.log(`  [waitForWindowCount] Temporary error: ${error.message}`);
-        await sleep(1000);
+        await sleepUnlessAborted(1000, signal);
       }
     }
 
@@ -765,4 +2943,4 @@ class TestBridge {
 
 }
 
-module.exports = { TestBridge };
+module.exports = { TestBridge, batchResult };
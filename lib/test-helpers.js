@@ -7,6 +7,9 @@ const fs = require('fs');
 const os = require('os');
 const extensionDir = path.join(__dirname, '..', 'extension');
 
+// The gecko ID in extension/manifest.json
+const DEFAULT_BRIDGE_ID = 'selenium-webext-bridge@test.local';
+
 /**
  * Sleeps for a given number of milliseconds.
  * @param {*} ms The number of milliseconds to sleep
@@ -281,6 +284,67 @@ async function waitForCondition(conditionFn, timeout = 5000, interval = 250) {
   return null;
 }
 
+/**
+ * Copies the bridge extension with a different gecko ID, and optionally name, so it
+ * can stand in for an extension the one under test trusts.
+ * @param {string} destDir Where to put the copy
+ * @param {string} id The gecko ID to use
+ * @param {string} name The extension name to use, if any
+ * @returns {string} destDir
+ */
+function copyBridgeExtension(destDir, id, name) {
+  fs.cpSync(extensionDir, destDir, { recursive: true });
+  const manifestPath = path.join(destDir, 'manifest.json');
+  const manifest = JSON.parse(fs.readFileSync(manifestPath, 'utf8'));
+  manifest.browser_specific_settings.gecko.id = id;
+  if (name) {
+    manifest.name = name;
+  }
+  fs.writeFileSync(manifestPath, JSON.stringify(manifest, null, 2));
+  return destDir;
+}
+
+/**
+ * Background script of a sender identity extension. Never called in Node: it's
+ * stringified into the extension, where it passes the bridge's messages on to their
+ * target so they arrive with the identity's sender.id (see 'forwardToExtension').
+ * @param {string} bridgeId The bridge extension's ID, the only sender it accepts
+ */
+function relayBridgeMessages(bridgeId) {
+  browser.runtime.onMessageExternal.addListener(async (message, sender) => {
+    if (sender.id !== bridgeId || !message || message.type !== 'bridge-relay') {
+      return undefined;
+    }
+    try {
+      return { success: true, data: await browser.runtime.sendMessage(message.targetExtensionId, message.payload) };
+    } catch (error) {
+      return { success: false, error: error.message, stack: error.stack };
+    }
+  });
+}
+
+/**
+ * Writes a sender identity extension: a background script that relays messages from
+ * the bridge, installed under the ID the messages should come from.
+ * @param {string} destDir Where to write the extension
+ * @param {string} id The identity's gecko ID
+ * @param {string} bridgeId The bridge extension's ID
+ * @returns {string} destDir
+ */
+function createSenderExtension(destDir, id, bridgeId) {
+  fs.mkdirSync(destDir, { recursive: true });
+  const manifest = {
+    manifest_version: 2,
+    name: `Test Bridge Sender (${id})`,
+    version: '1.0.0',
+    browser_specific_settings: { gecko: { id } },
+    background: { scripts: ['background.js'] }
+  };
+  fs.writeFileSync(path.join(destDir, 'manifest.json'), JSON.stringify(manifest, null, 2));
+  fs.writeFileSync(path.join(destDir, 'background.js'), `(${relayBridgeMessages})(${JSON.stringify(bridgeId)});\n`);
+  return destDir;
+}
+
 /**
  * Launches a Firefox instance with the bridge extension installed.
  * @param {Object} options Configuration options
@@ -289,7 +353,19 @@ async function waitForCondition(conditionFn, timeout = 5000, interval = 250) {
  * @param {boolean} options.headless Run in headless mode (default: reads HEADLESS/MOZ_HEADLESS env vars)
  * @param {number} options.waitForInit Time in ms to wait after each extension install (default: 3000)
  * @param {Object} options.preferences about:config preferences to set (default: {})
- * @returns {{ driver, testBridge, profilePath }}
+ * @param {string[]} options.firefoxArgs Additional Firefox command line arguments (default: [])
+ * @param {string} options.channel Bridge channel mode, 'page' or 'window' (default: 'page'). See TestBridge.
+ * @param {string} options.transport How bridge calls reach the extension, 'executeScript', 'websocket' or 'bidi' (default: 'executeScript')
+ * @param {http.Server} options.server The server returned by createTestServer(), required for the 'websocket' transport
+ * @param {boolean} options.bidi Enable WebDriver BiDi so bridge.connectBidi() can be called later (default: true for the 'bidi' transport)
+ * @param {number} options.eventBufferSize How many events each event buffer keeps (default: 100)
+ * @param {number} options.callTimeout Default timeout for each bridge call in ms (default: 15000)
+ * @param {string[]} options.allowedOrigins Only inject the bridge into pages from these origins, e.g. the test server's (default: every origin)
+ * @param {string} options.bridgeId Install a copy of the bridge under this gecko ID, e.g. a companion extension's (default: 'selenium-webext-bridge@test.local')
+ * @param {string} options.bridgeName The name for that copy (default: the bridge's own)
+ * @param {string[]} options.senderIds Extra IDs sendToExtension() can send as, with { as: id } (default: [])
+ * @param {string[]} options.pinExtensions IDs of extensions whose toolbar buttons to pin to the toolbar; needs '-remote-allow-system-access' in firefoxArgs (default: [])
+ * @returns {{ driver, testBridge, profilePath, extensionsPath }}
  */
 async function launchBrowser(options = {}) {
   const {
@@ -298,9 +374,24 @@ async function launchBrowser(options = {}) {
     headless = process.env.HEADLESS === '1' || process.env.MOZ_HEADLESS === '1' || false,
     waitForInit = 3000,
     preferences = {},
-    firefoxArgs = []
+    firefoxArgs = [],
+    channel = 'page',
+    transport = 'executeScript',
+    server,
+    bidi = transport === 'bidi',
+    eventBufferSize,
+    callTimeout,
+    allowedOrigins,
+    bridgeId = DEFAULT_BRIDGE_ID,
+    bridgeName,
+    senderIds = [],
+    pinExtensions = []
   } = options;
 
+  if (transport === 'websocket' && !server) {
+    throw new Error('[launchBrowser] The "websocket" transport needs the server returned by createTestServer()');
+  }
+
   // Lazy-require to avoid errors when only using simple helpers like sleep()
   const { Builder } = require('selenium-webdriver');
   const firefox = require('selenium-webdriver/firefox');
@@ -314,6 +405,14 @@ async function launchBrowser(options = {}) {
 
   firefoxOptions.setProfile(profilePath);
 
+  // Generated extensions (a renamed bridge, sender identities) go next to the profile.
+  const extensionsPath = `${profilePath}-extensions`;
+  let bridgeDir = extensionDir;
+  if (bridgeId !== DEFAULT_BRIDGE_ID || bridgeName) {
+    bridgeDir = copyBridgeExtension(path.join(extensionsPath, 'bridge'), bridgeId, bridgeName);
+  }
+  const senderDirs = senderIds.map((id, i) => createSenderExtension(path.join(extensionsPath, `sender-${i}`), id, bridgeId));
+
   firefoxOptions.setPreference('browser.tabs.warnOnClose', false);
   firefoxOptions.setPreference('browser.warnOnQuit', false);
   firefoxOptions.setPreference('browser.tabs.closeWindowWithLastTab', false);
@@ -337,6 +436,10 @@ async function launchBrowser(options = {}) {
     firefoxOptions.addArguments('-headless');
   }
 
+  if (bidi) {
+    firefoxOptions.enableBidi();
+  }
+
   try {
     console.log('  Building Firefox driver...');
     const driver = await new Builder()
@@ -351,11 +454,16 @@ async function launchBrowser(options = {}) {
 
     // Install bridge extension
     console.log('  Installing Test Bridge extension...');
-    await driver.installAddon(extensionDir, true);
+    await driver.installAddon(bridgeDir, true);
 
     console.log(`  Waiting ${waitForInit}ms for extension to initialize...`);
     await sleep(waitForInit);
 
+    for (const [i, senderDir] of senderDirs.entries()) {
+      console.log(`  Installing sender identity: ${senderIds[i]}...`);
+      await driver.installAddon(senderDir, true);
+    }
+
     // Ensure we have a stable window handle
     const handles = await driver.getAllWindowHandles();
     console.log(`  Windows after extension install: ${handles.length}`);
@@ -370,9 +478,21 @@ async function launchBrowser(options = {}) {
 
     // Initialize bridge
     console.log('  Initializing TestBridge...');
-    const testBridge = new ResolvedBridgeClass(driver);
+    const testBridge = new ResolvedBridgeClass(driver, { channel, callTimeout, allowedOrigins });
     await testBridge.init();
 
+    if (transport === 'websocket') {
+      console.log('  Connecting bridge socket...');
+      await testBridge.connectSocket(server);
+    } else if (transport === 'bidi') {
+      console.log('  Connecting bridge over WebDriver BiDi...');
+      await testBridge.connectBidi();
+    }
+
+    if (eventBufferSize !== undefined) {
+      await testBridge.setEventBufferSize(eventBufferSize);
+    }
+
     // Install additional extensions
     for (const ext of extensions) {
       console.log(`  Installing extension: ${path.basename(ext)}...`);
@@ -381,16 +501,20 @@ async function launchBrowser(options = {}) {
       await sleep(waitForInit);
     }
 
+    for (const extensionId of pinExtensions) {
+      console.log(`  Pinning ${extensionId} to the toolbar...`);
+      await testBridge.pinToToolbar(extensionId);
+    }
+
     console.log('  Browser ready!');
-    return { driver, testBridge, profilePath };
+    return { driver, testBridge, profilePath, extensionsPath };
   } catch (error) {
     console.error('[launchBrowser] Error:', error.message);
     console.error('[launchBrowser] Stack:', error.stack);
 
     try {
-      if (fs.existsSync(profilePath)) {
-        fs.rmSync(profilePath, { recursive: true, force: true });
-      }
+      fs.rmSync(profilePath, { recursive: true, force: true });
+      fs.rmSync(extensionsPath, { recursive: true, force: true });
     } catch (cleanupError) {
       // Ignore cleanup errors
     }
@@ -424,6 +548,14 @@ async function cleanupBrowser(browser) {
       console.warn(`  Warning: Could not remove profile ${browser.profilePath}:`, e.message);
     }
   }
+
+  if (browser.extensionsPath) {
+    try {
+      fs.rmSync(browser.extensionsPath, { recursive: true, force: true });
+    } catch (e) {
+      console.warn(`  Warning: Could not remove ${browser.extensionsPath}:`, e.message);
+    }
+  }
 }
 
 module.exports = {
@@ -4,6 +4,7 @@
  */
 
 const http = require('http');
+const { acceptWebSocket } = require('./bridge-socket');
 
 /**
  * Create and start a local HTTP test server
@@ -11,6 +12,14 @@ const http = require('http');
  * @param {number} options.port - Port to listen on (default: 8080)
  * @param {string} options.host - Host to bind to (default: '127.0.0.1')
  * @returns {Promise<http.Server>} The running server instance
+ *
+ * Pages whose path starts with /strict-csp are sent with a Content-Security-Policy
+ * that blocks every script and style on the page, for testing that the bridge still
+ * injects there.
+ *
+ * The server also accepts WebSocket connections from the bridge extension on
+ * /bridge-socket?session=<id>. Open connections are kept in `server.bridgeSockets`
+ * (keyed by session ID) and announced with a 'bridgeSocket' event.
  */
 function createTestServer({ port = 8080, host = '127.0.0.1' } = {}) {
   return new Promise((resolve, reject) => {
@@ -18,7 +27,12 @@ function createTestServer({ port = 8080, host = '127.0.0.1' } = {}) {
       const testName = req.url.replace('/', '') || 'test';
       const timestamp = Date.now();
 
-      res.writeHead(200, { 'Content-Type': 'text/html' });
+      const headers = { 'Content-Type': 'text/html' };
+      if (testName.startsWith('strict-csp')) {
+        headers['Content-Security-Policy'] = "default-src 'none'";
+      }
+
+      res.writeHead(200, headers);
       res.end(`<!DOCTYPE html>
 <html>
 <head>
@@ -56,6 +70,28 @@ function createTestServer({ port = 8080, host = '127.0.0.1' } = {}) {
 </html>`);
     });
 
+    server.bridgeSockets = new Map();
+
+    server.on('upgrade', (req, socket) => {
+      const { pathname, searchParams } = new URL(req.url, 'http://localhost');
+      const session = searchParams.get('session');
+      if (pathname !== '/bridge-socket' || !session) {
+        socket.end('HTTP/1.1 404 Not Found\r\n\r\n');
+        return;
+      }
+
+      const bridgeSocket = acceptWebSocket(req, socket);
+      if (!bridgeSocket) return;
+
+      server.bridgeSockets.set(session, bridgeSocket);
+      bridgeSocket.on('close', () => {
+        if (server.bridgeSockets.get(session) === bridgeSocket) {
+          server.bridgeSockets.delete(session);
+        }
+      });
+      server.emit('bridgeSocket', bridgeSocket, session);
+    });
+
     server.on('error', reject);
 
     server.listen(port, host, () => {
@@ -12,10 +12,16 @@
  * Requires: Firefox in PATH, geckodriver, selenium-webdriver
  */
 
+const fs = require('fs');
+const os = require('os');
 const path = require('path');
+const { pathToFileURL } = require('url');
+const { By } = require('selenium-webdriver');
 const {
-  sleep, waitForCondition, createTestServer, TestResults, generateTestUrl,
-  launchBrowser, cleanupBrowser
+  TestBridge, sleep, waitForCondition, createTestServer, TestResults, generateTestUrl,
+  launchBrowser, cleanupBrowser, BridgeError, ExtensionNotFoundError, UnknownActionError,
+  BrowserApiError, BridgeTimeoutError, BridgeAbortError, UnauthorizedError, ExtensionError, UncaughtExtensionError,
+  NotSupportedError, ExtensionPopup, batchResult
 } = require('../');
 
 const HELLO_EXT_DIR = path.join(__dirname, '..', 'examples', 'hello-world', 'extension');
@@ -24,6 +30,25 @@ const HELLO_EXT_ID = 'hello-world@example.local';
 const PAGE_ACTION_EXT_DIR = path.join(__dirname, '..', 'examples', 'page-action', 'extension');
 const PAGE_ACTION_EXT_ID = 'page-action-test@example.local';
 
+const POPUP_EXT_DIR = path.join(__dirname, '..', 'examples', 'popup', 'extension');
+const POPUP_EXT_ID = 'popup-test@example.local';
+
+const SIDEBAR_EXT_DIR = path.join(__dirname, '..', 'examples', 'sidebar', 'extension');
+const SIDEBAR_EXT_ID = 'sidebar-test@example.local';
+
+const SENDER_ID = 'companion-sender@example.local';
+
+// Counts the bridge's 'getEvents' calls, to tell pushed events from polled ones.
+function countEventPolls(bridge) {
+  const call = bridge._call;
+  const polls = { count: 0, restore: () => { bridge._call = call; } };
+  bridge._call = function (action, ...args) {
+    if (action === 'getEvents') polls.count++;
+    return call.call(this, action, ...args);
+  };
+  return polls;
+}
+
 async function main() {
   console.log();
   console.log('selenium-webext-bridge API Test Suite');
@@ -37,9 +62,12 @@ async function main() {
   try {
     console.log('Setting up Firefox...');
     browser = await launchBrowser({
-      extensions: [HELLO_EXT_DIR, PAGE_ACTION_EXT_DIR],
+      extensions: [HELLO_EXT_DIR, PAGE_ACTION_EXT_DIR, POPUP_EXT_DIR, SIDEBAR_EXT_DIR],
       waitForInit: 2000,
-      firefoxArgs: ['-remote-allow-system-access']
+      firefoxArgs: ['-remote-allow-system-access'],
+      bidi: true,
+      senderIds: [SENDER_ID],
+      pinExtensions: [POPUP_EXT_ID]
     });
     const bridge = browser.testBridge;
 
@@ -685,6 +713,378 @@ async function main() {
       results.error('getWindowEvents(clear=true) clears the buffer', e);
     }
 
+    console.log();
+    console.log('----- Event Log Filtering -----');
+
+    // getTabEvents({ since, tabId, types }) only returns matching events after the cursor
+    try {
+      const otherTab = await bridge.createTab('http://127.0.0.1:8080/event-filter-other');
+      const cursor = await bridge.getEventCursor();
+      const tab = await bridge.createTab('http://127.0.0.1:8080/event-filter-test');
+      await bridge.waitForTabLoad(tab.id, 5000);
+      await bridge.closeTab(tab.id);
+      await bridge.closeTab(otherTab.id);
+      await sleep(500);
+
+      const events = await bridge.getTabEvents({ since: cursor, tabId: tab.id, types: ['updated', 'removed'] });
+      const unexpected = events.filter(e => e.seq <= cursor || (e.tabId ?? e.tab.id) !== tab.id ||
+        !['updated', 'removed'].includes(e.type));
+      if (events.length >= 2 && unexpected.length === 0 && events[events.length - 1].type === 'removed') {
+        results.pass('getTabEvents() filters by since, tabId and types');
+      } else {
+        results.fail('getTabEvents() filters by since, tabId and types', `got: ${JSON.stringify(events.map(e => e.type))}`);
+      }
+    } catch (e) {
+      results.error('getTabEvents() filters by since, tabId and types', e);
+    }
+
+    // getTabEvents({ limit }) returns the oldest matching events first
+    try {
+      const cursor = await bridge.getEventCursor();
+      const tab = await bridge.createTab('http://127.0.0.1:8080/event-limit-test');
+      await bridge.waitForTabLoad(tab.id, 5000);
+      await bridge.closeTab(tab.id);
+      await sleep(500);
+
+      const events = await bridge.getTabEvents({ since: cursor, limit: 1 });
+      if (events.length === 1 && events[0].type === 'created' && events[0].tab.id === tab.id) {
+        results.pass('getTabEvents({ limit }) returns the oldest events first');
+      } else {
+        results.fail('getTabEvents({ limit }) returns the oldest events first', `got: ${JSON.stringify(events)}`);
+      }
+    } catch (e) {
+      results.error('getTabEvents({ limit }) returns the oldest events first', e);
+    }
+
+    // Reading with filters doesn't consume events
+    try {
+      const cursor = await bridge.getEventCursor();
+      const win = await bridge.createWindow('http://127.0.0.1:8080/window-filter-test');
+      await sleep(500);
+      await bridge.closeWindow(win.id);
+      await sleep(500);
+
+      const first = await bridge.getWindowEvents({ since: cursor, windowId: win.id });
+      const second = await bridge.getWindowEvents({ since: cursor, windowId: win.id, types: ['removed'] });
+      if (first.length >= 2 && second.length === 1 && second[0].windowId === win.id) {
+        results.pass('getWindowEvents() filters without consuming events');
+      } else {
+        results.fail('getWindowEvents() filters without consuming events',
+          `first: ${first.length}, second: ${second.length}`);
+      }
+    } catch (e) {
+      results.error('getWindowEvents() filters without consuming events', e);
+    }
+
+    // waitForTabEvent() with a filter and predicate
+    try {
+      const cursor = await bridge.getEventCursor();
+      const tab = await bridge.createTab('http://127.0.0.1:8080/event-predicate-test');
+      const event = await bridge.waitForTabEvent({
+        types: ['updated'],
+        tabId: tab.id,
+        since: cursor,
+        predicate: e => e.changeInfo.status === 'complete'
+      }, 10000);
+      await bridge.closeTab(tab.id);
+      if (event && event.tabId === tab.id && event.changeInfo.status === 'complete') {
+        results.pass('waitForTabEvent() accepts filters and a predicate');
+      } else {
+        results.fail('waitForTabEvent() accepts filters and a predicate', `got: ${JSON.stringify(event)}`);
+      }
+    } catch (e) {
+      results.error('waitForTabEvent() accepts filters and a predicate', e);
+    }
+
+    // setEventBufferSize() drops the oldest events
+    try {
+      await bridge.setEventBufferSize(2);
+      const tab = await bridge.createTab('http://127.0.0.1:8080/event-buffer-test');
+      await bridge.waitForTabLoad(tab.id, 5000);
+      await bridge.closeTab(tab.id);
+      await sleep(500);
+
+      const events = await bridge.getTabEvents();
+      await bridge.setEventBufferSize(100);
+      if (events.length === 2 && events[1].type === 'removed') {
+        results.pass('setEventBufferSize() caps the event buffers');
+      } else {
+        results.fail('setEventBufferSize() caps the event buffers', `got ${events.length} events`);
+      }
+    } catch (e) {
+      results.error('setEventBufferSize() caps the event buffers', e);
+    }
+
+    console.log();
+    console.log('----- More Tab and Window Events -----');
+
+    // activated
+    try {
+      const tab1 = await bridge.createTab('http://127.0.0.1:8080/activated-test-1');
+      const tab2 = await bridge.createTab('http://127.0.0.1:8080/activated-test-2');
+      await sleep(500);
+      const cursor = await bridge.getEventCursor();
+      await bridge.updateTab(tab1.id, { active: true });
+      const event = await bridge.waitForTabEvent({ types: ['activated'], tabId: tab1.id, since: cursor }, 5000);
+      await bridge.closeTab(tab1.id);
+      await bridge.closeTab(tab2.id);
+      if (event && event.windowId === tab1.windowId) {
+        results.pass('tab activated events are recorded');
+      } else {
+        results.fail('tab activated events are recorded', `got: ${JSON.stringify(event)}`);
+      }
+    } catch (e) {
+      results.error('tab activated events are recorded', e);
+    }
+
+    // moved
+    try {
+      const tab1 = await bridge.createTab('http://127.0.0.1:8080/moved-test-1');
+      const tab2 = await bridge.createTab('http://127.0.0.1:8080/moved-test-2');
+      await sleep(500);
+      await bridge.moveTab(tab2.id, tab1.index);
+      const event = await bridge.waitForTabMoved(tab2.id, 5000);
+      await bridge.closeTab(tab1.id);
+      await bridge.closeTab(tab2.id);
+      if (event && event.moveInfo.toIndex === tab1.index) {
+        results.pass('waitForTabMoved() returns the moved event');
+      } else {
+        results.fail('waitForTabMoved() returns the moved event', `got: ${JSON.stringify(event)}`);
+      }
+    } catch (e) {
+      results.error('waitForTabMoved() returns the moved event', e);
+    }
+
+    // detached and attached
+    try {
+      const win = await bridge.createWindow('http://127.0.0.1:8080/attach-test-window');
+      const tab = await bridge.createTab('http://127.0.0.1:8080/attach-test-tab');
+      await sleep(500);
+      await bridge.moveTab(tab.id, -1, win.id);
+      const detached = await bridge.waitForTabDetached(tab.id, 5000);
+      const attached = await bridge.waitForTabAttached(tab.id, win.id, 5000);
+      await bridge.closeWindow(win.id);
+      if (detached && detached.detachInfo.oldWindowId === tab.windowId && attached) {
+        results.pass('waitForTabDetached()/waitForTabAttached() see a tab move between windows');
+      } else {
+        results.fail('waitForTabDetached()/waitForTabAttached() see a tab move between windows',
+          `detached: ${JSON.stringify(detached)}, attached: ${JSON.stringify(attached)}`);
+      }
+    } catch (e) {
+      results.error('waitForTabDetached()/waitForTabAttached() see a tab move between windows', e);
+    }
+
+    // highlighted
+    try {
+      const tab = await bridge.createTab('http://127.0.0.1:8080/highlighted-test', false);
+      await sleep(500);
+      const cursor = await bridge.getEventCursor();
+      await bridge.updateTab(tab.id, { highlighted: true });
+      const event = await bridge.waitForTabHighlighted(tab.id, 5000);
+      await bridge.closeTab(tab.id);
+      if (event && event.tabIds.includes(tab.id) && event.seq > cursor) {
+        results.pass('waitForTabHighlighted() returns the highlighted event');
+      } else {
+        results.fail('waitForTabHighlighted() returns the highlighted event', `got: ${JSON.stringify(event)}`);
+      }
+    } catch (e) {
+      results.error('waitForTabHighlighted() returns the highlighted event', e);
+    }
+
+    // window focusChanged
+    try {
+      const win = await bridge.createWindow('http://127.0.0.1:8080/focus-test');
+      await sleep(500);
+      await bridge.updateWindow(win.id, { focused: true });
+      const event = await bridge.waitForWindowFocus(win.id, 5000);
+      await bridge.closeWindow(win.id);
+      if (event && event.type === 'focusChanged') {
+        results.pass('waitForWindowFocus() returns the focusChanged event');
+      } else {
+        results.fail('waitForWindowFocus() returns the focusChanged event', `got: ${JSON.stringify(event)}`);
+      }
+    } catch (e) {
+      results.error('waitForWindowFocus() returns the focusChanged event', e);
+    }
+
+    // tab group events
+    try {
+      const tab = await bridge.createTab('http://127.0.0.1:8080/group-event-test');
+      await sleep(500);
+      try {
+        const group = await bridge.groupTabs([tab.id], 'Event Group');
+        const event = await bridge.waitForTabGroupEvent({ types: ['created'], groupId: group.id }, 5000);
+        if (event && event.kind === 'tabGroup') {
+          results.pass('tab group events are recorded');
+        } else {
+          results.fail('tab group events are recorded', `got: ${JSON.stringify(event)}`);
+        }
+      } catch (err) {
+        if (err.message && err.message.includes('not available')) {
+          results.pass('tab group events are recorded');
+        } else {
+          throw err;
+        }
+      }
+      await bridge.closeTab(tab.id);
+    } catch (e) {
+      results.error('tab group events are recorded', e);
+    }
+
+    console.log();
+    console.log('----- Navigation Events -----');
+
+    // waitForNavigation() for a normal page load
+    try {
+      const tab = await bridge.createTab('about:blank');
+      const cursor = await bridge.getEventCursor();
+      await bridge.updateTab(tab.id, { url: 'http://127.0.0.1:8080/navigation-test' });
+      const event = await bridge.waitForNavigation(tab.id, { url: 'navigation-test', since: cursor }, 10000);
+      const events = await bridge.getNavigationEvents({ since: cursor, tabId: tab.id, frameId: 0 });
+      const types = events.map(e => e.type);
+      await bridge.closeTab(tab.id);
+      if (event && event.type === 'completed' && event.frameId === 0 &&
+          ['beforeNavigate', 'committed', 'DOMContentLoaded'].every(t => types.includes(t))) {
+        results.pass('waitForNavigation() waits for a completed load');
+      } else {
+        results.fail('waitForNavigation() waits for a completed load', `event: ${JSON.stringify(event)}, types: ${types}`);
+      }
+    } catch (e) {
+      results.error('waitForNavigation() waits for a completed load', e);
+    }
+
+    // historyStateUpdated and referenceFragmentUpdated
+    try {
+      const tab = await bridge.createTab('http://127.0.0.1:8080/spa-navigation-test');
+      await bridge.waitForNavigation(tab.id, { url: 'spa-navigation-test' }, 10000);
+      await bridge.executeInTab(tab.id, 'history.pushState({}, "", "/spa-navigation-test/pushed")');
+      const pushed = await bridge.waitForNavigation(tab.id, { event: 'historyStateUpdated', url: '/pushed' }, 5000);
+      await bridge.executeInTab(tab.id, 'location.hash = "fragment"');
+      const fragment = await bridge.waitForNavigation(tab.id, { event: 'referenceFragmentUpdated', url: '#fragment' }, 5000);
+      await bridge.closeTab(tab.id);
+      if (pushed && fragment) {
+        results.pass('waitForNavigation() sees pushState and fragment navigations');
+      } else {
+        results.fail('waitForNavigation() sees pushState and fragment navigations',
+          `pushed: ${JSON.stringify(pushed)}, fragment: ${JSON.stringify(fragment)}`);
+      }
+    } catch (e) {
+      results.error('waitForNavigation() sees pushState and fragment navigations', e);
+    }
+
+    // errorOccurred for a failed load
+    try {
+      const tab = await bridge.createTab('about:blank');
+      const cursor = await bridge.getEventCursor();
+      await bridge.updateTab(tab.id, { url: 'http://127.0.0.1:1/unreachable' });
+      const event = await bridge.waitForNavigation(tab.id, { event: 'errorOccurred', since: cursor }, 10000);
+      await bridge.closeTab(tab.id);
+      if (event && event.url.includes('unreachable')) {
+        results.pass('waitForNavigation() reports failed loads');
+      } else {
+        results.fail('waitForNavigation() reports failed loads', `got: ${JSON.stringify(event)}`);
+      }
+    } catch (e) {
+      results.error('waitForNavigation() reports failed loads', e);
+    }
+
+    // timeout returns null
+    try {
+      const tab = await bridge.createTab('http://127.0.0.1:8080/navigation-timeout-test');
+      const event = await bridge.waitForNavigation(tab.id, { url: 'never-visited' }, 1000);
+      await bridge.closeTab(tab.id);
+      if (event === null) {
+        results.pass('waitForNavigation() returns null on timeout');
+      } else {
+        results.fail('waitForNavigation() returns null on timeout', `got: ${JSON.stringify(event)}`);
+      }
+    } catch (e) {
+      results.error('waitForNavigation() returns null on timeout', e);
+    }
+
+    console.log();
+    console.log('----- Event Subscriptions -----');
+
+    // on() delivers tabCreated events
+    try {
+      const created = [];
+      const handler = (event) => created.push(event);
+      bridge.on('tabCreated', handler);
+      const tab = await bridge.createTab('http://127.0.0.1:8080/subscription-test');
+      const received = await waitForCondition(() => created.find(e => e.tab.id === tab.id), 5000, 100);
+      bridge.off('tabCreated', handler);
+      if (received && received.kind === 'tab' && typeof received.seq === 'number') {
+        results.pass('on() delivers tabCreated events with a sequence number');
+      } else {
+        results.fail('on() delivers tabCreated events with a sequence number', `got: ${JSON.stringify(created)}`);
+      }
+      await bridge.closeTab(tab.id);
+      await sleep(300);
+    } catch (e) {
+      results.error('on() delivers tabCreated events with a sequence number', e);
+    }
+
+    // '*' receives every kind of event in sequence order
+    try {
+      const all = [];
+      const handler = (event) => all.push(event);
+      bridge.on('*', handler);
+      const win = await bridge.createWindow('http://127.0.0.1:8080/subscription-window-test');
+      await bridge.closeWindow(win.id);
+      await waitForCondition(() => all.some(e => e.kind === 'window' && e.type === 'removed'), 5000, 100);
+      bridge.off('*', handler);
+      const inOrder = all.every((e, i) => i === 0 || e.seq === all[i - 1].seq + 1);
+      const kinds = new Set(all.map(e => e.kind));
+      if (inOrder && kinds.has('tab') && kinds.has('window') && kinds.has('navigation')) {
+        results.pass("on('*') receives tab, window and navigation events without gaps");
+      } else {
+        results.fail("on('*') receives tab, window and navigation events without gaps",
+          `kinds: ${[...kinds]}, seqs: ${all.map(e => e.seq)}`);
+      }
+    } catch (e) {
+      results.error("on('*') receives tab, window and navigation events without gaps", e);
+    }
+
+    // once() only fires for the first event
+    try {
+      let calls = 0;
+      bridge.once('tabRemoved', () => calls++);
+      const tab1 = await bridge.createTab('http://127.0.0.1:8080/once-test-1');
+      const tab2 = await bridge.createTab('http://127.0.0.1:8080/once-test-2');
+      await bridge.closeTab(tab1.id);
+      await bridge.closeTab(tab2.id);
+      await sleep(1000);
+      if (calls === 1) {
+        results.pass('once() fires only once');
+      } else {
+        results.fail('once() fires only once', `calls: ${calls}`);
+      }
+    } catch (e) {
+      results.error('once() fires only once', e);
+    }
+
+    // Polling for subscribers leaves re-initializing the bridge to the test's own calls
+    try {
+      const created = [];
+      const handler = (event) => created.push(event);
+      bridge.on('tabCreated', handler);
+      await bridge.getExtensionUrl(HELLO_EXT_ID);
+      await sleep(1000);
+      const urlWhileNotReady = await browser.driver.getCurrentUrl();
+      const tab = await bridge.createTab('http://127.0.0.1:8080/poll-not-ready-test');
+      const received = await waitForCondition(() => created.find(e => e.tab.id === tab.id), 5000, 100);
+      bridge.off('tabCreated', handler);
+      await bridge.closeTab(tab.id);
+      if (urlWhileNotReady.startsWith('about:config') && received) {
+        results.pass('event polling never re-initializes the bridge');
+      } else {
+        results.fail('event polling never re-initializes the bridge',
+          `url while not ready: ${urlWhileNotReady}, received: ${Boolean(received)}`);
+      }
+    } catch (e) {
+      results.error('event polling never re-initializes the bridge', e);
+    }
+
     console.log();
     console.log('----- Wait Helpers -----');
 
@@ -840,315 +1240,1766 @@ async function main() {
       results.error('sendToExtension() returns error for unknown action', e);
     }
 
-    console.log();
-    console.log('----- Extension URL + Context Detection -----');
-
-    // Returns moz-extension:// URL if the extension is found.
+    // sending as another identity
     try {
-      const url = await bridge.getExtensionUrl(HELLO_EXT_ID);
-      if (typeof url === 'string' && url.startsWith('moz-extension://')) {
-        results.pass('getExtensionUrl() returns moz-extension:// URL');
+      const own = await bridge.sendToExtension(HELLO_EXT_ID, { action: 'whoami' });
+      const relayed = await bridge.sendToExtension(HELLO_EXT_ID, { action: 'whoami' }, { as: SENDER_ID });
+      if (own.data === bridge.bridgeExtensionId && relayed.data === SENDER_ID) {
+        results.pass('sendToExtension() sends as a sender identity');
       } else {
-        results.fail('getExtensionUrl() returns moz-extension:// URL', `got: ${url}`);
+        results.fail('sendToExtension() sends as a sender identity', `own: ${JSON.stringify(own)}, relayed: ${JSON.stringify(relayed)}`);
       }
     } catch (e) {
-      results.error('getExtensionUrl() returns moz-extension:// URL', e);
+      results.error('sendToExtension() sends as a sender identity', e);
     }
 
-    // Returns null if not found (for example, not installed)
+    // sending as an identity that isn't installed
     try {
-      const url = await bridge.getExtensionUrl('nonexistent@example.com');
-      if (url === null) {
-        results.pass('getExtensionUrl() returns null for unknown extension');
+      await bridge.sendToExtension(HELLO_EXT_ID, { action: 'whoami' }, { as: 'missing-sender@example.local' });
+      results.fail('sendToExtension() rejects unknown sender identities', 'no error thrown');
+    } catch (e) {
+      if (e instanceof ExtensionNotFoundError && e.details.senderId === 'missing-sender@example.local') {
+        results.pass('sendToExtension() rejects unknown sender identities');
       } else {
-        results.fail('getExtensionUrl() returns null for unknown extension', `got: ${url}`);
+        results.fail('sendToExtension() rejects unknown sender identities', `got: ${e}`);
       }
-    } catch (e) {
-      results.error('getExtensionUrl() returns null for unknown extension', e);
     }
 
-    // After getExtensionUrl(), bridge auto-recovers on next call
+    console.log();
+    console.log('----- Errors -----');
+
+    // Missing target extension
     try {
-      const pong = await bridge.ping();
-      if (pong === 'pong') {
-        results.pass('Bridge auto-recovers after getExtensionUrl()');
+      await bridge.sendToExtension('not-installed@example.local', { action: 'ping' });
+      results.fail('sendToExtension() throws ExtensionNotFoundError for a missing extension', 'no error thrown');
+    } catch (e) {
+      if (e instanceof ExtensionNotFoundError && e instanceof BridgeError &&
+          e.code === 'EXTENSION_NOT_FOUND' && e.details.targetExtensionId === 'not-installed@example.local') {
+        results.pass('sendToExtension() throws ExtensionNotFoundError for a missing extension');
       } else {
-        results.fail('Bridge auto-recovers after getExtensionUrl()', `got: ${pong}`);
+        results.fail('sendToExtension() throws ExtensionNotFoundError for a missing extension',
+          `got ${e.name} (${e.code}): ${e.message}`);
       }
-    } catch (e) {
-      results.error('Bridge auto-recovers after getExtensionUrl()', e);
     }
 
-    // getExtensionUrlByName() returns moz-extension:// URL
+    // Unknown action
     try {
-      const url = await bridge.getExtensionUrlByName('Hello World Extension');
-      if (typeof url === 'string' && url.startsWith('moz-extension://')) {
-        results.pass('getExtensionUrlByName() returns moz-extension:// URL');
+      await bridge._call('noSuchAction');
+      results.fail('unknown actions throw UnknownActionError', 'no error thrown');
+    } catch (e) {
+      if (e instanceof UnknownActionError && e.code === 'UNKNOWN_ACTION') {
+        results.pass('unknown actions throw UnknownActionError');
       } else {
-        results.fail('getExtensionUrlByName() returns moz-extension:// URL', `got: ${url}`);
+        results.fail('unknown actions throw UnknownActionError', `got ${e.name} (${e.code}): ${e.message}`);
       }
-    } catch (e) {
-      results.error('getExtensionUrlByName() returns moz-extension:// URL', e);
     }
 
-    // getExtensionUrlByName() returns null for unknown name
+    // Failed browser API call
     try {
-      const url = await bridge.getExtensionUrlByName('Nonexistent Extension');
-      if (url === null) {
-        results.pass('getExtensionUrlByName() returns null for unknown name');
+      await bridge.getTabById(999999);
+      results.fail('browser API failures throw BrowserApiError', 'no error thrown');
+    } catch (e) {
+      if (e instanceof BrowserApiError && e.code === 'BROWSER_ERROR') {
+        results.pass('browser API failures throw BrowserApiError');
       } else {
-        results.fail('getExtensionUrlByName() returns null for unknown name', `got: ${url}`);
+        results.fail('browser API failures throw BrowserApiError', `got ${e.name} (${e.code}): ${e.message}`);
       }
-    } catch (e) {
-      results.error('getExtensionUrlByName() returns null for unknown name', e);
     }
 
-    // After getExtensionUrlByName(), bridge auto-recovers on next call
-    try {
-      const pong = await bridge.ping();
-      if (pong === 'pong') {
-        results.pass('Bridge auto-recovers after getExtensionUrlByName()');
+    console.log();
+    console.log('----- Batching -----');
+
+    // batch() runs steps in order and passes earlier results along
+    try {
+      const steps = await bridge.batch([
+        { action: 'createTab', url: 'http://127.0.0.1:8080/batch-test-1', active: false },
+        { action: 'createTab', url: 'http://127.0.0.1:8080/batch-test-2', active: false },
+        { action: 'pinTab', tabId: batchResult(0, 'id') },
+        { action: 'moveTab', tabId: batchResult(1, 'id'), index: 1 },
+        { action: 'getTabById', tabId: batchResult(0, 'id') }
+      ]);
+      await bridge.batch([
+        { action: 'closeTab', tabId: steps[0].id },
+        { action: 'closeTab', tabId: steps[1].id }
+      ]);
+      if (steps.length === 5 && steps[2].pinned === true && steps[4].id === steps[0].id && steps[4].pinned) {
+        results.pass('batch() runs steps in order with earlier results');
       } else {
-        results.fail('Bridge auto-recovers after getExtensionUrlByName()', `got: ${pong}`);
+        results.fail('batch() runs steps in order with earlier results', `got: ${JSON.stringify(steps)}`);
       }
     } catch (e) {
-      results.error('Bridge auto-recovers after getExtensionUrlByName()', e);
+      results.error('batch() runs steps in order with earlier results', e);
     }
 
-    // ensureReady() throws when on a non-HTTP page
+    // batch() stops at the first failing step
     try {
-      await browser.driver.get('about:blank');
-      await sleep(500);
-      try {
-        await bridge.ping();
-        results.fail('ensureReady() throws on non-HTTP page', 'no error thrown');
-      } catch (err) {
-        if (err.message.includes('not an HTTP')) {
-          results.pass('ensureReady() throws on non-HTTP page');
-        } else {
-          results.fail('ensureReady() throws on non-HTTP page', `wrong error: ${err.message}`);
-        }
-      }
+      await bridge.batch([
+        { action: 'getTabs' },
+        { action: 'getTabById', tabId: 999999 },
+        { action: 'createTab', url: 'http://127.0.0.1:8080/batch-never-created' }
+      ]);
+      results.fail('batch() reports the first failing step', 'no error thrown');
     } catch (e) {
-      results.error('ensureReady() throws on non-HTTP page', e);
-    }
-
-    // After the error, bridge.init() + ping() recovers
-    try {
-      await bridge.init();
-      const pong = await bridge.ping();
-      if (pong === 'pong') {
-        results.pass('Bridge recovers after init() following non-HTTP error');
+      const tabs = await bridge.getTabs();
+      if (e instanceof BrowserApiError && e.details.index === 1 && e.details.results.length === 1 &&
+          !tabs.some(t => t.url.includes('batch-never-created'))) {
+        results.pass('batch() reports the first failing step');
       } else {
-        results.fail('Bridge recovers after init() following non-HTTP error', `got: ${pong}`);
+        results.fail('batch() reports the first failing step', `got ${e.name}: ${e.message} ${JSON.stringify(e.details)}`);
       }
-    } catch (e) {
-      results.error('Bridge recovers after init() following non-HTTP error', e);
     }
 
     console.log();
-    console.log('----- Bridge Reset -----');
+    console.log('----- Timeouts and Cancellation -----');
 
-    // reset() recovers after navigating to extension page
+    // Waits longer than the old 15 second relay limit
     try {
-      const extUrl = await bridge.getExtensionUrl(HELLO_EXT_ID);
-      await browser.driver.get(extUrl + '/manifest.json');
-      await sleep(500);
-
-      await bridge.reset();
-      const pong = await bridge.ping();
-      if (pong === 'pong') {
-        results.pass('reset() recovers after extension page');
+      const tab = await bridge.createTab('http://127.0.0.1:8080/slow-redirect-test');
+      await bridge.waitForTabLoad(tab.id, 5000);
+      await bridge.executeInTab(tab.id, 'setTimeout(() => { location.href = "/late-arrival"; }, 16000)');
+      const match = await bridge.waitForTabUrl('late-arrival', 25000);
+      await bridge.closeTab(tab.id);
+      if (match && match.id === tab.id) {
+        results.pass('waitForTabUrl() can wait longer than 15 seconds');
       } else {
-        results.fail('reset() recovers after extension page', `got: ${pong}`);
+        results.fail('waitForTabUrl() can wait longer than 15 seconds', `got: ${JSON.stringify(match)}`);
       }
     } catch (e) {
-      results.error('reset() recovers after extension page', e);
+      results.error('waitForTabUrl() can wait longer than 15 seconds', e);
     }
 
-    // reset() recovers after about:blank
+    // Per-call timeout stops the background wait
     try {
-      await browser.driver.get('about:blank');
-      await sleep(500);
+      await bridge.waitForTabUrl('never-going-to-match', 10000, { timeout: 1000 });
+      results.fail('a per-call timeout throws BridgeTimeoutError', 'no error thrown');
+    } catch (e) {
+      if (e instanceof BridgeTimeoutError && e.code === 'TIMEOUT') {
+        results.pass('a per-call timeout throws BridgeTimeoutError');
+      } else {
+        results.fail('a per-call timeout throws BridgeTimeoutError', `got ${e.name}: ${e.message}`);
+      }
+    }
+
+    // AbortSignal rejects the call right away
+    try {
+      await bridge.waitForTabUrl('never-going-to-match', 10000, {
+        timeout: 3000,
+        signal: AbortSignal.timeout(500)
+      });
+      results.fail('an AbortSignal aborts a bridge call', 'no error thrown');
+    } catch (e) {
+      if (e instanceof BridgeAbortError) {
+        results.pass('an AbortSignal aborts a bridge call');
+      } else {
+        results.fail('an AbortSignal aborts a bridge call', `got ${e.name}: ${e.message}`);
+      }
+    }
+
+    // AbortSignal aborts event waits
+    try {
+      await bridge.waitForTabEvent('never-happens', 10000, { signal: AbortSignal.timeout(500) });
+      results.fail('an AbortSignal aborts waitForTabEvent()', 'no error thrown');
+    } catch (e) {
+      if (e instanceof BridgeAbortError) {
+        results.pass('an AbortSignal aborts waitForTabEvent()');
+      } else {
+        results.fail('an AbortSignal aborts waitForTabEvent()', `got ${e.name}: ${e.message}`);
+      }
+    }
 
+    // AbortSignal stops polling waits without finishing their sleep
+    let abortStart = Date.now();
+    try {
+      const count = (await bridge.getTabs()).length;
+      abortStart = Date.now();
+      await bridge.waitForTabCount(count, 10000, { signal: AbortSignal.timeout(500) });
+      results.fail('an AbortSignal aborts waitForTabCount() mid-sleep', 'no error thrown');
+    } catch (e) {
+      const elapsed = Date.now() - abortStart;
+      if (e instanceof BridgeAbortError && elapsed < 1500) {
+        results.pass('an AbortSignal aborts waitForTabCount() mid-sleep');
+      } else {
+        results.fail('an AbortSignal aborts waitForTabCount() mid-sleep', `got ${e.name} after ${elapsed}ms: ${e.message}`);
+      }
+    }
+
+    console.log();
+    console.log('----- Access Control -----');
+
+    // Pages can't use the bridge without the session secret
+    try {
       await bridge.reset();
-      const pong = await bridge.ping();
-      if (pong === 'pong') {
-        results.pass('reset() recovers after about:blank');
+      const code = await browser.driver.executeScript(() => {
+        return window.TestBridge.call('getTabs').then(() => 'no error', (error) => error.code);
+      });
+      if (bridge.secret && code === 'NOT_AUTHORIZED') {
+        results.pass('requests without the session secret are refused');
       } else {
-        results.fail('reset() recovers after about:blank', `got: ${pong}`);
+        results.fail('requests without the session secret are refused', `secret: ${bridge.secret}, got: ${code}`);
       }
     } catch (e) {
-      results.error('reset() recovers after about:blank', e);
+      results.error('requests without the session secret are refused', e);
     }
 
-    // reset() is a no-op when already on an HTTP page
+    // Pages can't replace or wrap window.TestBridge to listen in on calls
     try {
-      const tabsBefore = await bridge.getTabs();
       await bridge.reset();
+      const outcome = await browser.driver.executeScript(() => {
+        const original = window.TestBridge;
+        window.capturedCalls = [];
+        const spy = (...args) => window.capturedCalls.push(args);
+        try { window.TestBridge = { call: spy }; } catch (e) { /* read-only */ }
+        try { Object.defineProperty(window, 'TestBridge', { value: { call: spy } }); } catch (e) { /* non-configurable */ }
+        try { window.TestBridge.call = spy; } catch (e) { /* frozen */ }
+        return { same: window.TestBridge === original, frozen: Object.isFrozen(window.TestBridge) };
+      });
       const pong = await bridge.ping();
-      if (pong === 'pong') {
-        results.pass('reset() works when already on HTTP page');
+      const tabs = await bridge.getTabs();
+      const captured = await browser.driver.executeScript(() => window.capturedCalls.length);
+      if (outcome.same && outcome.frozen && pong === 'pong' && Array.isArray(tabs) && captured === 0) {
+        results.pass('pages cannot replace or wrap window.TestBridge');
       } else {
-        results.fail('reset() works when already on HTTP page', `got: ${pong}`);
+        results.fail('pages cannot replace or wrap window.TestBridge',
+          `outcome: ${JSON.stringify(outcome)}, captured: ${captured}`);
       }
     } catch (e) {
-      results.error('reset() works when already on HTTP page', e);
+      results.error('pages cannot replace or wrap window.TestBridge', e);
     }
 
-    console.log();
-    console.log('----- Wait For Tab Load -----');
-
-    // waitForTabLoad() returns loaded tab
+    // Pages can't ask for the session secret themselves
     try {
-      const tab = await bridge.createTab('http://127.0.0.1:8080/load-wait-test');
-      const loaded = await bridge.waitForTabLoad(tab.id, 10000);
-      if (loaded && loaded.status === 'complete' && loaded.id === tab.id) {
-        results.pass('waitForTabLoad() returns tab when loaded');
+      const code = await browser.driver.executeScript(() => {
+        return window.TestBridge.call('handshake').then(() => 'no error', (error) => error.code);
+      });
+      if (code === 'NOT_AUTHORIZED') {
+        results.pass('pages cannot request the session secret');
       } else {
-        results.fail('waitForTabLoad() returns tab when loaded', `got: ${JSON.stringify(loaded)}`);
+        results.fail('pages cannot request the session secret', `got: ${code}`);
       }
-      await bridge.closeTab(tab.id);
-      await sleep(300);
     } catch (e) {
-      results.error('waitForTabLoad() returns tab when loaded', e);
+      results.error('pages cannot request the session secret', e);
     }
 
-    // waitForTabLoad() returns null on timeout for nonexistent tab
+    // The secret is only handed out once
     try {
-      const result = await bridge.waitForTabLoad(999999, 1000);
-      if (result === null) {
-        results.pass('waitForTabLoad() returns null on timeout');
+      const intruder = new TestBridge(browser.driver);
+      await intruder.init();
+      results.fail('a second bridge without the secret cannot init', 'init() succeeded');
+    } catch (e) {
+      if (e instanceof UnauthorizedError) {
+        results.pass('a second bridge without the secret cannot init');
       } else {
-        results.fail('waitForTabLoad() returns null on timeout', `got: ${JSON.stringify(result)}`);
+        results.fail('a second bridge without the secret cannot init', `got ${e.name}: ${e.message}`);
       }
-    } catch (e) {
-      results.error('waitForTabLoad() returns null on timeout', e);
     }
 
-    // waitForTabLoad() can replace sleep() after createTab()
+    // Passing the secret lets another bridge share the browser
     try {
-      const tab = await bridge.createTab('http://127.0.0.1:8080/no-sleep-needed');
-      const loaded = await bridge.waitForTabLoad(tab.id);
-      const title = await bridge.executeInTab(loaded.id, 'document.readyState');
-      if (title === 'complete') {
-        results.pass('waitForTabLoad() + executeInTab() works without sleep()');
+      const second = new TestBridge(browser.driver, { secret: bridge.secret });
+      await second.init();
+      const pong = await second.ping();
+      if (pong === 'pong' && second.secret === bridge.secret) {
+        results.pass('a bridge given the secret can init');
       } else {
-        results.fail('waitForTabLoad() + executeInTab() works without sleep()', `readyState: ${title}`);
+        results.fail('a bridge given the secret can init', `pong: ${pong}`);
       }
+    } catch (e) {
+      results.error('a bridge given the secret can init', e);
+    }
+
+    // setAllowedOrigins() keeps the bridge off other origins
+    try {
+      await bridge.reset();
+      await bridge.setAllowedOrigins(['http://127.0.0.1:8080']);
+      const tab = await bridge.createTab('http://localhost:8080/other-origin');
+      await bridge.waitForTabLoad(tab.id, 5000);
+      await sleep(500);
+      const injected = await bridge.executeInTab(tab.id, 'typeof window.wrappedJSObject.TestBridge');
       await bridge.closeTab(tab.id);
-      await sleep(300);
+      await bridge.setAllowedOrigins(null);
+      if (injected === 'undefined') {
+        results.pass('setAllowedOrigins() skips other origins');
+      } else {
+        results.fail('setAllowedOrigins() skips other origins', `TestBridge on localhost: ${injected}`);
+      }
     } catch (e) {
-      results.error('waitForTabLoad() + executeInTab() works without sleep()', e);
+      results.error('setAllowedOrigins() skips other origins', e);
+      await bridge.setAllowedOrigins(null).catch(() => {});
     }
 
     console.log();
-    console.log('----- Click Browser Action -----');
+    console.log('----- Extension URL + Context Detection -----');
 
-    // clickBrowserAction() triggers the hello-world extension's action
+    // Returns moz-extension:// URL if the extension is found.
     try {
-      // The hello-world extension increments a counter on action click.
-      const before = await bridge.sendToExtension(HELLO_EXT_ID, { action: 'getCounter' });
-      const counterBefore = before.data;
+      const url = await bridge.getExtensionUrl(HELLO_EXT_ID);
+      if (typeof url === 'string' && url.startsWith('moz-extension://')) {
+        results.pass('getExtensionUrl() returns moz-extension:// URL');
+      } else {
+        results.fail('getExtensionUrl() returns moz-extension:// URL', `got: ${url}`);
+      }
+    } catch (e) {
+      results.error('getExtensionUrl() returns moz-extension:// URL', e);
+    }
 
-      await bridge.clickBrowserAction(HELLO_EXT_ID);
-      await sleep(500);
-      await bridge.reset();
+    // Returns null if not found (for example, not installed)
+    try {
+      const url = await bridge.getExtensionUrl('nonexistent@example.com');
+      if (url === null) {
+        results.pass('getExtensionUrl() returns null for unknown extension');
+      } else {
+        results.fail('getExtensionUrl() returns null for unknown extension', `got: ${url}`);
+      }
+    } catch (e) {
+      results.error('getExtensionUrl() returns null for unknown extension', e);
+    }
 
-      const after = await bridge.sendToExtension(HELLO_EXT_ID, { action: 'getCounter' });
-      if (after.data === counterBefore + 1) {
-        results.pass('clickBrowserAction() triggers extension action');
+    // After getExtensionUrl(), bridge auto-recovers on next call
+    try {
+      const pong = await bridge.ping();
+      if (pong === 'pong') {
+        results.pass('Bridge auto-recovers after getExtensionUrl()');
       } else {
-        results.fail('clickBrowserAction() triggers extension action',
-          `counter before: ${counterBefore}, after: ${after.data}`);
+        results.fail('Bridge auto-recovers after getExtensionUrl()', `got: ${pong}`);
       }
     } catch (e) {
-      results.error('clickBrowserAction() triggers extension action', e);
+      results.error('Bridge auto-recovers after getExtensionUrl()', e);
     }
 
-    // clickBrowserAction() throws for nonexistent extension
+    // getExtensionUrlByName() returns moz-extension:// URL
     try {
-      try {
-        await bridge.clickBrowserAction('nonexistent@example.com');
-        results.fail('clickBrowserAction() throws for nonexistent extension', 'no error thrown');
-      } catch (err) {
-        if (err.message.includes('not found')) {
-          results.pass('clickBrowserAction() throws for nonexistent extension');
-        } else {
-          results.fail('clickBrowserAction() throws for nonexistent extension', `wrong error: ${err.message}`);
-        }
+      const url = await bridge.getExtensionUrlByName('Hello World Extension');
+      if (typeof url === 'string' && url.startsWith('moz-extension://')) {
+        results.pass('getExtensionUrlByName() returns moz-extension:// URL');
+      } else {
+        results.fail('getExtensionUrlByName() returns moz-extension:// URL', `got: ${url}`);
       }
     } catch (e) {
-      results.error('clickBrowserAction() throws for nonexistent extension', e);
+      results.error('getExtensionUrlByName() returns moz-extension:// URL', e);
     }
 
-    // Bridge recovers after clickBrowserAction()
+    // getExtensionUrlByName() returns null for unknown name
+    try {
+      const url = await bridge.getExtensionUrlByName('Nonexistent Extension');
+      if (url === null) {
+        results.pass('getExtensionUrlByName() returns null for unknown name');
+      } else {
+        results.fail('getExtensionUrlByName() returns null for unknown name', `got: ${url}`);
+      }
+    } catch (e) {
+      results.error('getExtensionUrlByName() returns null for unknown name', e);
+    }
+
+    // After getExtensionUrlByName(), bridge auto-recovers on next call
     try {
-      await bridge.reset();
       const pong = await bridge.ping();
       if (pong === 'pong') {
-        results.pass('Bridge recovers after clickBrowserAction()');
+        results.pass('Bridge auto-recovers after getExtensionUrlByName()');
       } else {
-        results.fail('Bridge recovers after clickBrowserAction()', `got: ${pong}`);
+        results.fail('Bridge auto-recovers after getExtensionUrlByName()', `got: ${pong}`);
       }
     } catch (e) {
-      results.error('Bridge recovers after clickBrowserAction()', e);
+      results.error('Bridge auto-recovers after getExtensionUrlByName()', e);
     }
 
-    console.log();
-    console.log('----- Click Page Action -----');
+    // Calls from a non-HTTP page fall back to test-api.html
+    try {
+      await browser.driver.get('about:blank');
+      await sleep(500);
+      const pong = await bridge.ping();
+      const tabs = await bridge.getTabs();
+      const url = await browser.driver.getCurrentUrl();
+      if (pong === 'pong' && Array.isArray(tabs) && bridge.channelHandle && url === 'about:blank') {
+        results.pass('calls from a non-HTTP page fall back to test-api.html');
+      } else {
+        results.fail('calls from a non-HTTP page fall back to test-api.html',
+          `pong: ${pong}, channel: ${bridge.channelHandle}, url: ${url}`);
+      }
+    } catch (e) {
+      results.error('calls from a non-HTTP page fall back to test-api.html', e);
+    }
 
-    // clickPageAction() triggers the page action on an HTTP page
+    // The fallback also works from another extension's page
+    try {
+      const extUrl = await bridge.getExtensionUrl(HELLO_EXT_ID);
+      await bridge.init();
+      await browser.driver.get(extUrl + '/manifest.json');
+      await sleep(500);
+      const tab = await bridge.getActiveTab();
+      const url = await browser.driver.getCurrentUrl();
+      if (tab && url.startsWith(extUrl)) {
+        results.pass('calls from a moz-extension:// page fall back to test-api.html');
+      } else {
+        results.fail('calls from a moz-extension:// page fall back to test-api.html', `tab: ${JSON.stringify(tab)}, url: ${url}`);
+      }
+    } catch (e) {
+      results.error('calls from a moz-extension:// page fall back to test-api.html', e);
+    }
+
+    // reset() closes the fallback window
     try {
       await bridge.reset();
-      await sleep(2000); // Wait for content script to show the page action
+      const pong = await bridge.ping();
+      if (pong === 'pong' && bridge.channelHandle === null) {
+        results.pass('reset() closes the test-api.html fallback window');
+      } else {
+        results.fail('reset() closes the test-api.html fallback window', `pong: ${pong}, channel: ${bridge.channelHandle}`);
+      }
+    } catch (e) {
+      results.error('reset() closes the test-api.html fallback window', e);
+    }
 
-      const before = await bridge.sendToExtension(PAGE_ACTION_EXT_ID, { action: 'getClickCount' });
-      const countBefore = before.data;
+    console.log();
+    console.log('----- Bridge Reset -----');
 
-      await bridge.clickPageAction(PAGE_ACTION_EXT_ID);
+    // reset() recovers after navigating to extension page
+    try {
+      const extUrl = await bridge.getExtensionUrl(HELLO_EXT_ID);
+      await browser.driver.get(extUrl + '/manifest.json');
       await sleep(500);
 
       await bridge.reset();
-      const after = await bridge.sendToExtension(PAGE_ACTION_EXT_ID, { action: 'getClickCount' });
-      if (after.data === countBefore + 1) {
-        results.pass('clickPageAction() triggers page action click');
+      const pong = await bridge.ping();
+      if (pong === 'pong') {
+        results.pass('reset() recovers after extension page');
       } else {
-        results.fail('clickPageAction() triggers page action click',
-          `count before: ${countBefore}, after: ${after.data}`);
+        results.fail('reset() recovers after extension page', `got: ${pong}`);
       }
     } catch (e) {
-      results.error('clickPageAction() triggers page action click', e);
+      results.error('reset() recovers after extension page', e);
     }
 
-    // clickPageAction() throws for nonexistent extension
+    // reset() recovers after about:blank
     try {
+      await browser.driver.get('about:blank');
+      await sleep(500);
+
       await bridge.reset();
-      try {
-        await bridge.clickPageAction('nonexistent@example.com');
-        results.fail('clickPageAction() throws for nonexistent extension', 'no error thrown');
-      } catch (err) {
-        if (err.message.includes('not found')) {
-          results.pass('clickPageAction() throws for nonexistent extension');
-        } else {
-          results.fail('clickPageAction() throws for nonexistent extension', `wrong error: ${err.message}`);
-        }
+      const pong = await bridge.ping();
+      if (pong === 'pong') {
+        results.pass('reset() recovers after about:blank');
+      } else {
+        results.fail('reset() recovers after about:blank', `got: ${pong}`);
       }
     } catch (e) {
-      results.error('clickPageAction() throws for nonexistent extension', e);
+      results.error('reset() recovers after about:blank', e);
     }
 
-    // Bridge recovers after clickPageAction()
+    // reset() is a no-op when already on an HTTP page
     try {
+      const tabsBefore = await bridge.getTabs();
       await bridge.reset();
       const pong = await bridge.ping();
       if (pong === 'pong') {
-        results.pass('Bridge recovers after clickPageAction()');
+        results.pass('reset() works when already on HTTP page');
       } else {
-        results.fail('Bridge recovers after clickPageAction()', `got: ${pong}`);
+        results.fail('reset() works when already on HTTP page', `got: ${pong}`);
       }
     } catch (e) {
-      results.error('Bridge recovers after clickPageAction()', e);
+      results.error('reset() works when already on HTTP page', e);
+    }
+
+    // The bridge injects on pages whose CSP blocks inline scripts
+    try {
+      await browser.driver.get(generateTestUrl('strict-csp'));
+      const injected = await waitForCondition(() => browser.driver.executeScript(() => {
+        return typeof window.TestBridge !== 'undefined';
+      }), 5000, 100);
+      const tabs = injected ? await bridge.getTabs() : null;
+      await bridge.reset();
+      if (injected && Array.isArray(tabs)) {
+        results.pass('bridge works on a strict-CSP page');
+      } else {
+        results.fail('bridge works on a strict-CSP page', `injected: ${injected}, tabs: ${JSON.stringify(tabs)}`);
+      }
+    } catch (e) {
+      results.error('bridge works on a strict-CSP page', e);
+    }
+
+    console.log();
+    console.log('----- Frames and Local Pages -----');
+
+    // The bridge is reachable from inside an iframe
+    try {
+      await browser.driver.get(generateTestUrl('frame-host'));
+      const frame = await browser.driver.executeScript(() => {
+        const iframe = document.createElement('iframe');
+        iframe.src = '/frame-child';
+        document.body.appendChild(iframe);
+        return iframe;
+      });
+      await sleep(1000);
+      await browser.driver.switchTo().frame(frame);
+      const tabs = await bridge.getTabs();
+      const url = await browser.driver.executeScript(() => location.href);
+      await browser.driver.switchTo().defaultContent();
+      if (Array.isArray(tabs) && url.endsWith('/frame-child') && bridge.channelHandle === null) {
+        results.pass('bridge works from inside an iframe');
+      } else {
+        results.fail('bridge works from inside an iframe', `url: ${url}, channel: ${bridge.channelHandle}`);
+      }
+    } catch (e) {
+      await browser.driver.switchTo().defaultContent().catch(() => {});
+      results.error('bridge works from inside an iframe', e);
+    }
+
+    // Frames that can't use the bridge fall back to test-api.html and keep Selenium in the frame
+    try {
+      await bridge.setAllowedOrigins(['http://127.0.0.1:8080']);
+      const frame = await browser.driver.executeScript(() => {
+        const iframe = document.createElement('iframe');
+        iframe.src = 'http://localhost:8080/other-origin-frame';
+        document.body.appendChild(iframe);
+        return iframe;
+      });
+      await sleep(1000);
+      await browser.driver.switchTo().frame(frame);
+      const tabs = await bridge.getTabs();
+      const url = await browser.driver.executeScript(() => location.href);
+      if (Array.isArray(tabs) && bridge.channelHandle !== null && url.endsWith('/other-origin-frame')) {
+        results.pass('frames that cannot use the bridge fall back to test-api.html');
+      } else {
+        results.fail('frames that cannot use the bridge fall back to test-api.html',
+          `url: ${url}, channel: ${bridge.channelHandle}`);
+      }
+    } catch (e) {
+      results.error('frames that cannot use the bridge fall back to test-api.html', e);
+    } finally {
+      await browser.driver.switchTo().defaultContent().catch(() => {});
+      await bridge.setAllowedOrigins(null).catch(() => {});
+    }
+
+    // With the test-api.html fallback open, calls from a frame keep Selenium in it
+    try {
+      const frame = await browser.driver.executeScript(() => {
+        const iframe = document.createElement('iframe');
+        iframe.src = '/frame-child';
+        document.body.appendChild(iframe);
+        return iframe;
+      });
+      await sleep(1000);
+      await browser.driver.switchTo().frame(frame);
+      await bridge.getTabs();
+      await bridge.ping();
+      const url = await browser.driver.executeScript(() => location.href);
+      if (bridge.channelHandle !== null && url.endsWith('/frame-child')) {
+        results.pass('fallback calls from a frame keep Selenium in the frame');
+      } else {
+        results.fail('fallback calls from a frame keep Selenium in the frame', `url: ${url}, channel: ${bridge.channelHandle}`);
+      }
+    } catch (e) {
+      results.error('fallback calls from a frame keep Selenium in the frame', e);
+    } finally {
+      await browser.driver.switchTo().defaultContent().catch(() => {});
+      await bridge.reset().catch(() => {});
+    }
+
+    // The bridge injects into file:// pages
+    const fixturePath = path.join(os.tmpdir(), `bridge-fixture-${Date.now()}.html`);
+    try {
+      fs.writeFileSync(fixturePath, '<!DOCTYPE html><title>File Fixture</title><p>Loaded from disk</p>');
+      await browser.driver.get(pathToFileURL(fixturePath).href);
+      await sleep(500);
+      const tabs = await bridge.getTabs();
+      if (Array.isArray(tabs) && bridge.channelHandle === null) {
+        results.pass('bridge works on a file:// page');
+      } else {
+        results.fail('bridge works on a file:// page', `channel: ${bridge.channelHandle}`);
+      }
+    } catch (e) {
+      results.error('bridge works on a file:// page', e);
+    } finally {
+      fs.rmSync(fixturePath, { force: true });
+    }
+
+    // data: pages fall back to test-api.html
+    try {
+      await browser.driver.get('data:text/html,<p>data fixture</p>');
+      await sleep(500);
+      const pong = await bridge.ping();
+      const url = await browser.driver.getCurrentUrl();
+      await bridge.reset();
+      if (pong === 'pong' && url.startsWith('data:')) {
+        results.pass('bridge works from a data: page');
+      } else {
+        results.fail('bridge works from a data: page', `pong: ${pong}, url: ${url}`);
+      }
+    } catch (e) {
+      results.error('bridge works from a data: page', e);
+    }
+
+    console.log();
+    console.log('----- Dedicated Channel -----');
+
+    let channelBridge;
+
+    // A 'window' channel bridge works while Selenium is focused on about:blank
+    try {
+      channelBridge = new TestBridge(browser.driver, { channel: 'window', secret: bridge.secret });
+      await channelBridge.init();
+      await browser.driver.get('about:blank');
+      await sleep(500);
+
+      const pong = await channelBridge.ping();
+      const tabs = await channelBridge.getTabs();
+      if (pong === 'pong' && Array.isArray(tabs)) {
+        results.pass('channel: window bridge works from about:blank');
+      } else {
+        results.fail('channel: window bridge works from about:blank', `pong: ${pong}, tabs: ${JSON.stringify(tabs)}`);
+      }
+    } catch (e) {
+      results.error('channel: window bridge works from about:blank', e);
+    }
+
+    // Selenium focus returns to the test's page after each call
+    try {
+      await channelBridge.getTabs();
+      const url = await browser.driver.getCurrentUrl();
+      if (url === 'about:blank') {
+        results.pass('channel: window bridge restores Selenium focus');
+      } else {
+        results.fail('channel: window bridge restores Selenium focus', `url: ${url}`);
+      }
+    } catch (e) {
+      results.error('channel: window bridge restores Selenium focus', e);
+    }
+
+    // getActiveTab() reports the test's window, not the channel window
+    try {
+      const activeTab = await channelBridge.getActiveTab();
+      if (activeTab && activeTab.windowId !== channelBridge.channelWindowId) {
+        results.pass('channel: getActiveTab() skips the channel window');
+      } else {
+        results.fail('channel: getActiveTab() skips the channel window', `got: ${JSON.stringify(activeTab)}`);
+      }
+    } catch (e) {
+      results.error('channel: getActiveTab() skips the channel window', e);
+    }
+
+    // Calls made from inside an iframe leave Selenium in that frame
+    try {
+      await browser.driver.get(generateTestUrl('frame-host'));
+      const frame = await browser.driver.executeScript(() => {
+        const iframe = document.createElement('iframe');
+        iframe.src = '/frame-child';
+        document.body.appendChild(iframe);
+        return iframe;
+      });
+      await sleep(1000);
+      await browser.driver.switchTo().frame(frame);
+      await channelBridge.getTabs();
+      const url = await browser.driver.executeScript(() => location.href);
+      await browser.driver.switchTo().defaultContent();
+      if (url.endsWith('/frame-child')) {
+        results.pass('channel: calls from a frame keep Selenium in the frame');
+      } else {
+        results.fail('channel: calls from a frame keep Selenium in the frame', `url: ${url}`);
+      }
+    } catch (e) {
+      await browser.driver.switchTo().defaultContent().catch(() => {});
+      results.error('channel: calls from a frame keep Selenium in the frame', e);
+    }
+
+    // getTabs() and getWindows() leave the channel window out
+    try {
+      const tabs = await channelBridge.getTabs();
+      const windows = await channelBridge.getWindows();
+      const channelId = channelBridge.channelWindowId;
+      if (!tabs.some(t => t.windowId === channelId) && !windows.some(w => w.id === channelId)) {
+        results.pass('channel: the channel window is left out of getTabs() and getWindows()');
+      } else {
+        results.fail('channel: the channel window is left out of getTabs() and getWindows()',
+          `channel window: ${channelId}, windows: ${windows.map(w => w.id)}`);
+      }
+    } catch (e) {
+      results.error('channel: the channel window is left out of getTabs() and getWindows()', e);
+    }
+
+    // Clean up the channel window with the regular bridge
+    try {
+      await bridge.reset();
+      if (channelBridge && channelBridge.channelWindowId !== null) {
+        await bridge.closeWindow(channelBridge.channelWindowId);
+        await sleep(500);
+      }
+    } catch (e) {
+      // best effort
+    }
+
+    console.log();
+    console.log('----- WebSocket Transport -----');
+
+    // connectSocket() keeps calls working from about:blank
+    try {
+      await bridge.reset();
+      await bridge.connectSocket(server);
+      await browser.driver.get('about:blank');
+      await sleep(500);
+
+      const pong = await bridge.ping();
+      const tabs = await bridge.getTabs();
+      if (bridge.socket && pong === 'pong' && Array.isArray(tabs)) {
+        results.pass('connectSocket() routes calls over the WebSocket');
+      } else {
+        results.fail('connectSocket() routes calls over the WebSocket', `pong: ${pong}, tabs: ${JSON.stringify(tabs)}`);
+      }
+    } catch (e) {
+      results.error('connectSocket() routes calls over the WebSocket', e);
+    }
+
+    // Tab events over the WebSocket are pushed to on() handlers, with no polling
+    try {
+      const polls = countEventPolls(bridge);
+      const created = [];
+      const handler = (event) => created.push(event);
+      let received;
+      let tab;
+      try {
+        bridge.on('tabCreated', handler);
+        tab = await bridge.createTab('http://127.0.0.1:8080/socket-event-test');
+        received = await waitForCondition(() => created.find(e => e.tab.id === tab.id), 5000, 100);
+      } finally {
+        bridge.off('tabCreated', handler);
+        polls.restore();
+      }
+      await bridge.closeTab(tab.id);
+      await sleep(300);
+      if (received && polls.count === 0) {
+        results.pass('connectSocket() pushes tab events to on() handlers');
+      } else {
+        results.fail('connectSocket() pushes tab events to on() handlers', `received: ${Boolean(received)}, polls: ${polls.count}`);
+      }
+    } catch (e) {
+      results.error('connectSocket() pushes tab events to on() handlers', e);
+    }
+
+    // Long waits aren't capped by the page relay's timeout
+    try {
+      const start = Date.now();
+      const found = await bridge.waitForTabUrl('never-going-to-match', 16000);
+      const elapsed = Date.now() - start;
+      if (found === null && elapsed >= 16000) {
+        results.pass('connectSocket() allows waits longer than 15s');
+      } else {
+        results.fail('connectSocket() allows waits longer than 15s', `found: ${JSON.stringify(found)}, elapsed: ${elapsed}ms`);
+      }
+    } catch (e) {
+      results.error('connectSocket() allows waits longer than 15s', e);
+    }
+
+    // disconnectSocket() falls back to executeScript()
+    try {
+      bridge.disconnectSocket();
+      await bridge.reset();
+      const pong = await bridge.ping();
+      if (bridge.socket === null && pong === 'pong') {
+        results.pass('disconnectSocket() falls back to executeScript()');
+      } else {
+        results.fail('disconnectSocket() falls back to executeScript()', `socket: ${bridge.socket}, pong: ${pong}`);
+      }
+    } catch (e) {
+      results.error('disconnectSocket() falls back to executeScript()', e);
+    }
+
+    console.log();
+    console.log('----- WebDriver BiDi Transport -----');
+
+    // connectBidi() keeps calls working from about:blank
+    try {
+      await bridge.reset();
+      await bridge.connectBidi();
+      await browser.driver.get('about:blank');
+      await sleep(500);
+
+      const pong = await bridge.ping();
+      const tabs = await bridge.getTabs();
+      if (bridge.bidi && pong === 'pong' && Array.isArray(tabs)) {
+        results.pass('connectBidi() routes calls through the BiDi bridge tab');
+      } else {
+        results.fail('connectBidi() routes calls through the BiDi bridge tab', `pong: ${pong}, tabs: ${JSON.stringify(tabs)}`);
+      }
+    } catch (e) {
+      results.error('connectBidi() routes calls through the BiDi bridge tab', e);
+    }
+
+    // Tab events over BiDi are pushed to on() handlers, with no polling
+    try {
+      const polls = countEventPolls(bridge);
+      const created = [];
+      const handler = (event) => created.push(event);
+      let received;
+      let tab;
+      try {
+        bridge.on('tabCreated', handler);
+        tab = await bridge.createTab('http://127.0.0.1:8080/bidi-event-test');
+        received = await waitForCondition(() => created.find(e => e.tab.id === tab.id), 5000, 100);
+      } finally {
+        bridge.off('tabCreated', handler);
+        polls.restore();
+      }
+      await bridge.closeTab(tab.id);
+      await sleep(300);
+      if (received && polls.count === 0) {
+        results.pass('connectBidi() pushes tab events to on() handlers');
+      } else {
+        results.fail('connectBidi() pushes tab events to on() handlers', `received: ${Boolean(received)}, polls: ${polls.count}`);
+      }
+    } catch (e) {
+      results.error('connectBidi() pushes tab events to on() handlers', e);
+    }
+
+    // Window events over BiDi are pushed to on() handlers, with no polling
+    try {
+      const polls = countEventPolls(bridge);
+      const events = [];
+      const handler = (event) => events.push(event);
+      let removed;
+      let win;
+      try {
+        bridge.on('windowCreated', handler);
+        bridge.on('windowRemoved', handler);
+        win = await bridge.createWindow('http://127.0.0.1:8080/bidi-window-event-test');
+        await bridge.closeWindow(win.id);
+        removed = await waitForCondition(() => events.find(e => e.type === 'removed' && e.windowId === win.id), 5000, 100);
+      } finally {
+        bridge.off('windowCreated', handler);
+        bridge.off('windowRemoved', handler);
+        polls.restore();
+      }
+      const created = events.some(e => e.type === 'created' && e.window.id === win.id);
+      if (created && removed && polls.count === 0) {
+        results.pass('connectBidi() pushes window events to on() handlers');
+      } else {
+        results.fail('connectBidi() pushes window events to on() handlers',
+          `events: ${JSON.stringify(events)}, polls: ${polls.count}`);
+      }
+    } catch (e) {
+      results.error('connectBidi() pushes window events to on() handlers', e);
+    }
+
+    // Event getters over BiDi read and clear the background script's buffer
+    try {
+      await browser.driver.get(generateTestUrl('bidi-clear-test'));
+      await sleep(500);
+      await bridge.getWindowEvents(true);
+      await bridge.disconnectBidi();
+      const events = await bridge.getWindowEvents();
+      await bridge.connectBidi();
+      if (events.length === 0) {
+        results.pass('connectBidi() event getters clear the background buffer');
+      } else {
+        results.fail('connectBidi() event getters clear the background buffer', `got: ${JSON.stringify(events)}`);
+      }
+    } catch (e) {
+      results.error('connectBidi() event getters clear the background buffer', e);
+    }
+
+    // Waits longer than BiDi's 30s command limit still resolve
+    try {
+      const start = Date.now();
+      const found = await bridge.waitForTabUrl('never-going-to-match', 32000);
+      const elapsed = Date.now() - start;
+      if (found === null && elapsed >= 32000) {
+        results.pass('connectBidi() allows waits longer than 30s');
+      } else {
+        results.fail('connectBidi() allows waits longer than 30s', `found: ${JSON.stringify(found)}, elapsed: ${elapsed}ms`);
+      }
+    } catch (e) {
+      results.error('connectBidi() allows waits longer than 30s', e);
+    }
+
+    // disconnectBidi() falls back to executeScript()
+    try {
+      await bridge.disconnectBidi();
+      await bridge.reset();
+      const pong = await bridge.ping();
+      if (bridge.bidi === null && pong === 'pong') {
+        results.pass('disconnectBidi() falls back to executeScript()');
+      } else {
+        results.fail('disconnectBidi() falls back to executeScript()', `pong: ${pong}`);
+      }
+    } catch (e) {
+      results.error('disconnectBidi() falls back to executeScript()', e);
+    }
+
+    console.log();
+    console.log('----- Wait For Tab Load -----');
+
+    // waitForTabLoad() returns loaded tab
+    try {
+      const tab = await bridge.createTab('http://127.0.0.1:8080/load-wait-test');
+      const loaded = await bridge.waitForTabLoad(tab.id, 10000);
+      if (loaded && loaded.status === 'complete' && loaded.id === tab.id) {
+        results.pass('waitForTabLoad() returns tab when loaded');
+      } else {
+        results.fail('waitForTabLoad() returns tab when loaded', `got: ${JSON.stringify(loaded)}`);
+      }
+      await bridge.closeTab(tab.id);
+      await sleep(300);
+    } catch (e) {
+      results.error('waitForTabLoad() returns tab when loaded', e);
+    }
+
+    // waitForTabLoad() returns null on timeout for nonexistent tab
+    try {
+      const result = await bridge.waitForTabLoad(999999, 1000);
+      if (result === null) {
+        results.pass('waitForTabLoad() returns null on timeout');
+      } else {
+        results.fail('waitForTabLoad() returns null on timeout', `got: ${JSON.stringify(result)}`);
+      }
+    } catch (e) {
+      results.error('waitForTabLoad() returns null on timeout', e);
+    }
+
+    // waitForTabLoad() can replace sleep() after createTab()
+    try {
+      const tab = await bridge.createTab('http://127.0.0.1:8080/no-sleep-needed');
+      const loaded = await bridge.waitForTabLoad(tab.id);
+      const title = await bridge.executeInTab(loaded.id, 'document.readyState');
+      if (title === 'complete') {
+        results.pass('waitForTabLoad() + executeInTab() works without sleep()');
+      } else {
+        results.fail('waitForTabLoad() + executeInTab() works without sleep()', `readyState: ${title}`);
+      }
+      await bridge.closeTab(tab.id);
+      await sleep(300);
+    } catch (e) {
+      results.error('waitForTabLoad() + executeInTab() works without sleep()', e);
+    }
+
+    console.log();
+    console.log('----- Click Browser Action -----');
+
+    // clickBrowserAction() triggers the hello-world extension's action
+    try {
+      // The hello-world extension increments a counter on action click.
+      const before = await bridge.sendToExtension(HELLO_EXT_ID, { action: 'getCounter' });
+      const counterBefore = before.data;
+
+      await bridge.clickBrowserAction(HELLO_EXT_ID);
+      await sleep(500);
+      await bridge.reset();
+
+      const after = await bridge.sendToExtension(HELLO_EXT_ID, { action: 'getCounter' });
+      if (after.data === counterBefore + 1) {
+        results.pass('clickBrowserAction() triggers extension action');
+      } else {
+        results.fail('clickBrowserAction() triggers extension action',
+          `counter before: ${counterBefore}, after: ${after.data}`);
+      }
+    } catch (e) {
+      results.error('clickBrowserAction() triggers extension action', e);
+    }
+
+    // clickBrowserAction() throws for nonexistent extension
+    try {
+      try {
+        await bridge.clickBrowserAction('nonexistent@example.com');
+        results.fail('clickBrowserAction() throws for nonexistent extension', 'no error thrown');
+      } catch (err) {
+        if (err.message.includes('not found')) {
+          results.pass('clickBrowserAction() throws for nonexistent extension');
+        } else {
+          results.fail('clickBrowserAction() throws for nonexistent extension', `wrong error: ${err.message}`);
+        }
+      }
+    } catch (e) {
+      results.error('clickBrowserAction() throws for nonexistent extension', e);
+    }
+
+    // Bridge recovers after clickBrowserAction()
+    try {
+      await bridge.reset();
+      const pong = await bridge.ping();
+      if (pong === 'pong') {
+        results.pass('Bridge recovers after clickBrowserAction()');
+      } else {
+        results.fail('Bridge recovers after clickBrowserAction()', `got: ${pong}`);
+      }
+    } catch (e) {
+      results.error('Bridge recovers after clickBrowserAction()', e);
+    }
+
+    console.log();
+    console.log('----- Click Page Action -----');
+
+    // clickPageAction() triggers the page action on an HTTP page
+    try {
+      await bridge.reset();
+      await sleep(2000); // Wait for content script to show the page action
+
+      const before = await bridge.sendToExtension(PAGE_ACTION_EXT_ID, { action: 'getClickCount' });
+      const countBefore = before.data;
+
+      await bridge.clickPageAction(PAGE_ACTION_EXT_ID);
+      await sleep(500);
+
+      await bridge.reset();
+      const after = await bridge.sendToExtension(PAGE_ACTION_EXT_ID, { action: 'getClickCount' });
+      if (after.data === countBefore + 1) {
+        results.pass('clickPageAction() triggers page action click');
+      } else {
+        results.fail('clickPageAction() triggers page action click',
+          `count before: ${countBefore}, after: ${after.data}`);
+      }
+    } catch (e) {
+      results.error('clickPageAction() triggers page action click', e);
+    }
+
+    // clickPageAction() throws for nonexistent extension
+    try {
+      await bridge.reset();
+      try {
+        await bridge.clickPageAction('nonexistent@example.com');
+        results.fail('clickPageAction() throws for nonexistent extension', 'no error thrown');
+      } catch (err) {
+        if (err.message.includes('not found')) {
+          results.pass('clickPageAction() throws for nonexistent extension');
+        } else {
+          results.fail('clickPageAction() throws for nonexistent extension', `wrong error: ${err.message}`);
+        }
+      }
+    } catch (e) {
+      results.error('clickPageAction() throws for nonexistent extension', e);
+    }
+
+    // Bridge recovers after clickPageAction()
+    try {
+      await bridge.reset();
+      const pong = await bridge.ping();
+      if (pong === 'pong') {
+        results.pass('Bridge recovers after clickPageAction()');
+      } else {
+        results.fail('Bridge recovers after clickPageAction()', `got: ${pong}`);
+      }
+    } catch (e) {
+      results.error('Bridge recovers after clickPageAction()', e);
+    }
+
+    console.log();
+    console.log('----- Browser Action Popups -----');
+
+    // openBrowserActionPopup() opens the popup and drives its document
+    try {
+      const popup = await bridge.openBrowserActionPopup(POPUP_EXT_ID);
+      await popup.click('#increment');
+      await popup.click('#increment');
+      await waitForCondition(async () => (await popup.getText('#count')) === '2', 5000, 100);
+      await popup.setValue('#label', 'typed');
+      const count = await popup.getText('#count');
+      const echo = await popup.getText('#echo');
+      const resp = await bridge.sendToExtension(POPUP_EXT_ID, { action: 'getCounter' });
+      if (count === '2' && echo === 'typed' && resp.data === 2) {
+        results.pass('openBrowserActionPopup() drives the popup document');
+      } else {
+        results.fail('openBrowserActionPopup() drives the popup document', `count: ${count}, echo: ${echo}, counter: ${resp.data}`);
+      }
+    } catch (e) {
+      results.error('openBrowserActionPopup() drives the popup document', e);
+    }
+
+    // closePopup() closes it
+    try {
+      const wasOpen = await bridge.closePopup();
+      await sleep(500);
+      let thrown = null;
+      try {
+        await new ExtensionPopup(bridge, POPUP_EXT_ID).getText('#count');
+      } catch (e) {
+        thrown = e;
+      }
+      if (wasOpen && thrown instanceof NotSupportedError) {
+        results.pass('closePopup() closes the popup');
+      } else {
+        results.fail('closePopup() closes the popup', `wasOpen: ${wasOpen}, got: ${thrown}`);
+      }
+    } catch (e) {
+      results.error('closePopup() closes the popup', e);
+    }
+
+    // Extensions without a popup time out
+    try {
+      await bridge.openBrowserActionPopup(HELLO_EXT_ID, { timeout: 2000 });
+      results.fail('openBrowserActionPopup() times out without a popup', 'no error thrown');
+    } catch (e) {
+      if (e instanceof BridgeTimeoutError) {
+        results.pass('openBrowserActionPopup() times out without a popup');
+      } else {
+        results.fail('openBrowserActionPopup() times out without a popup', `got: ${e}`);
+      }
+    }
+
+    console.log();
+    console.log('----- Action State -----');
+
+    // getBrowserActionState() reflects badge, title and enabled state
+    try {
+      await bridge.evaluateInExtension(HELLO_EXT_ID, async () => {
+        await browser.browserAction.setBadgeText({ text: '5' });
+        await browser.browserAction.setBadgeBackgroundColor({ color: '#ff0000' });
+        await browser.browserAction.setTitle({ title: 'Busy' });
+        await browser.browserAction.disable();
+      });
+      const state = await bridge.getBrowserActionState(HELLO_EXT_ID);
+      await bridge.evaluateInExtension(HELLO_EXT_ID, async () => {
+        await browser.browserAction.setBadgeText({ text: '' });
+        await browser.browserAction.setTitle({ title: null });
+        await browser.browserAction.enable();
+      });
+      const reset = await bridge.getBrowserActionState(HELLO_EXT_ID);
+      if (state.badgeText === '5' && state.badgeBackgroundColor === 'rgb(255, 0, 0)' && state.title === 'Busy' &&
+          state.enabled === false && reset.badgeText === '' && reset.title === 'Hello World' && reset.enabled === true) {
+        results.pass('getBrowserActionState() reads badge, title and enabled state');
+      } else {
+        results.fail('getBrowserActionState() reads badge, title and enabled state', `state: ${JSON.stringify(state)}, reset: ${JSON.stringify(reset)}`);
+      }
+    } catch (e) {
+      results.error('getBrowserActionState() reads badge, title and enabled state', e);
+    }
+
+    // getPageActionState() reports visibility for the selected tab
+    try {
+      await browser.driver.get(generateTestUrl('page-action-state'));
+      await sleep(1000);
+      const active = await bridge.getActiveTab();
+      const state = await bridge.getPageActionState(PAGE_ACTION_EXT_ID, active.id);
+      if (state.visible && state.title === 'Page Action Test' && state.enabled) {
+        results.pass('getPageActionState() reads a visible page action');
+      } else {
+        results.fail('getPageActionState() reads a visible page action', `got: ${JSON.stringify(state)}`);
+      }
+    } catch (e) {
+      results.error('getPageActionState() reads a visible page action', e);
+    }
+
+    // Tabs that aren't selected can't be read
+    try {
+      const tab = await bridge.createTab('about:blank', false);
+      let thrown = null;
+      try {
+        await bridge.getBrowserActionState(HELLO_EXT_ID, tab.id);
+      } catch (e) {
+        thrown = e;
+      }
+      await bridge.closeTab(tab.id);
+      if (thrown instanceof NotSupportedError) {
+        results.pass('getBrowserActionState() rejects background tabs');
+      } else {
+        results.fail('getBrowserActionState() rejects background tabs', `got: ${thrown}`);
+      }
+    } catch (e) {
+      results.error('getBrowserActionState() rejects background tabs', e);
+    }
+
+    console.log();
+    console.log('----- Toolbar -----');
+
+    // pinToToolbar() puts the button on the toolbar, where clickBrowserAction() still works
+    try {
+      await bridge.pinToToolbar(HELLO_EXT_ID);
+      const before = await bridge.sendToExtension(HELLO_EXT_ID, { action: 'getCounter' });
+      await bridge.clickBrowserAction(HELLO_EXT_ID);
+      await sleep(300);
+      const after = await bridge.sendToExtension(HELLO_EXT_ID, { action: 'getCounter' });
+      // Only finds the button if it's on the toolbar
+      const button = await bridge.captureChromeScreenshot({ element: '#nav-bar #hello-world_example_local-BAP' });
+      await bridge.unpinFromToolbar(HELLO_EXT_ID);
+      const onToolbar = button.startsWith('data:image/png;base64,');
+      if (onToolbar && after.data === before.data + 1) {
+        results.pass('pinToToolbar() pins the button and clickBrowserAction() clicks it');
+      } else {
+        results.fail('pinToToolbar() pins the button and clickBrowserAction() clicks it',
+          `onToolbar: ${onToolbar}, before: ${before.data}, after: ${after.data}`);
+      }
+    } catch (e) {
+      results.error('pinToToolbar() pins the button and clickBrowserAction() clicks it', e);
+    }
+
+    // pinToToolbar() reports extensions without a toolbar button
+    try {
+      await bridge.pinToToolbar('nonexistent@example.com');
+      results.fail('pinToToolbar() throws ExtensionNotFoundError for an unknown extension', 'no error thrown');
+    } catch (e) {
+      if (e instanceof ExtensionNotFoundError && e.details.targetExtensionId === 'nonexistent@example.com') {
+        results.pass('pinToToolbar() throws ExtensionNotFoundError for an unknown extension');
+      } else {
+        results.fail('pinToToolbar() throws ExtensionNotFoundError for an unknown extension', `got ${e.name}: ${e.message}`);
+      }
+    }
+
+    // captureChromeScreenshot() captures a toolbar region
+    try {
+      const whole = await bridge.captureChromeScreenshot();
+      const toolbar = await bridge.captureChromeScreenshot({ element: 'toolbar' });
+      if (whole.startsWith('data:image/png;base64,') && toolbar.startsWith('data:image/png;base64,') && toolbar.length < whole.length) {
+        results.pass('captureChromeScreenshot() captures the window and toolbar');
+      } else {
+        results.fail('captureChromeScreenshot() captures the window and toolbar', `lengths: ${whole.length}, ${toolbar.length}`);
+      }
+    } catch (e) {
+      results.error('captureChromeScreenshot() captures the window and toolbar', e);
+    }
+
+    // captureChromeScreenshot({ element: 'popup' }) draws the open popup
+    try {
+      const popup = await bridge.openBrowserActionPopup(POPUP_EXT_ID);
+      const shot = await bridge.captureChromeScreenshot({ element: 'popup' });
+      await popup.close();
+      if (shot.startsWith('data:image/png;base64,')) {
+        results.pass('captureChromeScreenshot() captures the open popup');
+      } else {
+        results.fail('captureChromeScreenshot() captures the open popup', `got: ${shot.slice(0, 40)}`);
+      }
+    } catch (e) {
+      results.error('captureChromeScreenshot() captures the open popup', e);
+    }
+
+    console.log();
+    console.log('----- Options Pages -----');
+
+    // openOptionsPage() embeds the page in about:addons by default
+    try {
+      const handle = await browser.driver.getWindowHandle();
+      const options = await bridge.openOptionsPage(POPUP_EXT_ID);
+      const url = await browser.driver.getCurrentUrl();
+      await waitForCondition(async () => (await options.evaluate(() => document.getElementById('greeting').value)) === 'Hello', 5000, 100);
+      await options.setValue('#greeting', 'Howdy');
+      await options.click('#save');
+      await waitForCondition(async () => (await options.getText('#status')) === 'Saved', 5000, 100);
+      await options.close();
+      const restored = (await browser.driver.getWindowHandle()) === handle;
+      const resp = await bridge.sendToExtension(POPUP_EXT_ID, { action: 'getGreeting' });
+      const pong = await bridge.ping();
+      if (url.startsWith('about:addons') && !options.inTab && resp.data === 'Howdy' && restored && pong === 'pong') {
+        results.pass('openOptionsPage() opens the page in about:addons and restores the bridge');
+      } else {
+        results.fail('openOptionsPage() opens the page in about:addons and restores the bridge',
+          `url: ${url}, greeting: ${resp.data}, restored: ${restored}, pong: ${pong}`);
+      }
+    } catch (e) {
+      results.error('openOptionsPage() opens the page in about:addons and restores the bridge', e);
+    }
+
+    // close() leaves an about:addons tab that was already open
+    let addonsHandle = null;
+    try {
+      const handle = await browser.driver.getWindowHandle();
+      await browser.driver.switchTo().newWindow('tab');
+      addonsHandle = await browser.driver.getWindowHandle();
+      await browser.driver.get('about:addons');
+      await browser.driver.switchTo().window(handle);
+      const options = await bridge.openOptionsPage(POPUP_EXT_ID);
+      await options.close();
+      const handles = await browser.driver.getAllWindowHandles();
+      const restored = (await browser.driver.getWindowHandle()) === handle;
+      if (options.handle === addonsHandle && handles.includes(addonsHandle) && restored) {
+        results.pass('options.close() keeps an about:addons tab it did not open');
+      } else {
+        results.fail('options.close() keeps an about:addons tab it did not open',
+          `reused: ${options.handle === addonsHandle}, still open: ${handles.includes(addonsHandle)}, restored: ${restored}`);
+      }
+    } catch (e) {
+      results.error('options.close() keeps an about:addons tab it did not open', e);
+    } finally {
+      if (addonsHandle) {
+        const handle = await browser.driver.getWindowHandle();
+        await browser.driver.switchTo().window(addonsHandle).then(() => browser.driver.close()).catch(() => {});
+        await browser.driver.switchTo().window(handle).catch(() => {});
+      }
+    }
+
+    // options.close() switches Selenium back into the frame it was in
+    try {
+      await browser.driver.get(generateTestUrl('options-frame-host'));
+      const frame = await browser.driver.executeScript(() => {
+        const iframe = document.createElement('iframe');
+        iframe.src = '/options-frame-child';
+        document.body.appendChild(iframe);
+        return iframe;
+      });
+      await sleep(1000);
+      await browser.driver.switchTo().frame(frame);
+      const options = await bridge.openOptionsPage(POPUP_EXT_ID);
+      await options.close();
+      const url = await browser.driver.executeScript(() => location.href);
+      if (url.endsWith('/options-frame-child')) {
+        results.pass('options.close() switches back into the frame Selenium was in');
+      } else {
+        results.fail('options.close() switches back into the frame Selenium was in', `url: ${url}`);
+      }
+    } catch (e) {
+      results.error('options.close() switches back into the frame Selenium was in', e);
+    } finally {
+      await browser.driver.switchTo().defaultContent().catch(() => {});
+    }
+
+    // openOptionsPage({ inTab: true }) switches Selenium to the page's own tab
+    try {
+      const handle = await browser.driver.getWindowHandle();
+      const options = await bridge.openOptionsPage(POPUP_EXT_ID, { inTab: true });
+      const url = await browser.driver.getCurrentUrl();
+      const value = await browser.driver.executeScript(() => document.getElementById('greeting').value);
+      await options.close();
+      const restored = (await browser.driver.getWindowHandle()) === handle;
+      const pong = await bridge.ping();
+      if (url === options.url && url.endsWith('/options.html') && value === 'Howdy' && restored && pong === 'pong') {
+        results.pass('openOptionsPage({ inTab: true }) opens the page in a tab');
+      } else {
+        results.fail('openOptionsPage({ inTab: true }) opens the page in a tab',
+          `url: ${url}, value: ${value}, restored: ${restored}, pong: ${pong}`);
+      }
+    } catch (e) {
+      results.error('openOptionsPage({ inTab: true }) opens the page in a tab', e);
+    }
+
+    // Extensions without an options page are rejected
+    try {
+      await bridge.openOptionsPage(HELLO_EXT_ID);
+      results.fail('openOptionsPage() rejects extensions without options', 'no error thrown');
+    } catch (e) {
+      if (e instanceof NotSupportedError) {
+        results.pass('openOptionsPage() rejects extensions without options');
+      } else {
+        results.fail('openOptionsPage() rejects extensions without options', `got: ${e}`);
+      }
+    }
+
+    console.log();
+    console.log('----- Sidebars -----');
+
+    // openSidebar() opens the sidebar and drives its document
+    try {
+      const sidebar = await bridge.openSidebar(SIDEBAR_EXT_ID);
+      const open = await bridge.isSidebarOpen(SIDEBAR_EXT_ID);
+      const otherOpen = await bridge.isSidebarOpen(POPUP_EXT_ID);
+      await sidebar.setValue('#note', 'first');
+      await sidebar.click('#add');
+      await waitForCondition(async () => (await sidebar.getText('#notes li')) === 'first', 5000, 100);
+      const resp = await bridge.sendToExtension(SIDEBAR_EXT_ID, { action: 'getNotes' });
+      if (open && !otherOpen && JSON.stringify(resp.data) === '["first"]') {
+        results.pass('openSidebar() opens the sidebar and drives its document');
+      } else {
+        results.fail('openSidebar() opens the sidebar and drives its document',
+          `open: ${open}, otherOpen: ${otherOpen}, notes: ${JSON.stringify(resp.data)}`);
+      }
+    } catch (e) {
+      results.error('openSidebar() opens the sidebar and drives its document', e);
+    }
+
+    // sidebar.switchTo() lets Selenium drive the panel, and switchBack() restores the bridge
+    try {
+      const sidebar = await bridge.openSidebar(SIDEBAR_EXT_ID);
+      const handle = await browser.driver.getWindowHandle();
+      let texts;
+      await sidebar.switchTo();
+      try {
+        await browser.driver.findElement(By.id('note')).sendKeys('second');
+        await browser.driver.findElement(By.id('add')).click();
+        await waitForCondition(async () => (await browser.driver.findElements(By.css('#notes li'))).length === 2, 5000, 100);
+        texts = await Promise.all((await browser.driver.findElements(By.css('#notes li'))).map(li => li.getText()));
+      } finally {
+        await sidebar.switchBack();
+      }
+      const restored = (await browser.driver.getWindowHandle()) === handle;
+      const resp = await bridge.sendToExtension(SIDEBAR_EXT_ID, { action: 'getNotes' });
+      if (restored && JSON.stringify(texts) === '["first","second"]' && JSON.stringify(resp.data) === '["first","second"]') {
+        results.pass('sidebar.switchTo() drives the sidebar with Selenium');
+      } else {
+        results.fail('sidebar.switchTo() drives the sidebar with Selenium',
+          `restored: ${restored}, texts: ${JSON.stringify(texts)}, notes: ${JSON.stringify(resp.data)}`);
+      }
+    } catch (e) {
+      results.error('sidebar.switchTo() drives the sidebar with Selenium', e);
+    }
+
+    // closeSidebar() closes it
+    try {
+      const wasOpen = await bridge.closeSidebar();
+      const open = await bridge.isSidebarOpen();
+      if (wasOpen && !open) {
+        results.pass('closeSidebar() closes the sidebar');
+      } else {
+        results.fail('closeSidebar() closes the sidebar', `wasOpen: ${wasOpen}, open: ${open}`);
+      }
+    } catch (e) {
+      results.error('closeSidebar() closes the sidebar', e);
+    }
+
+    // Extensions without a sidebar are rejected
+    try {
+      await bridge.openSidebar(HELLO_EXT_ID);
+      results.fail('openSidebar() rejects extensions without a sidebar', 'no error thrown');
+    } catch (e) {
+      if (e instanceof NotSupportedError) {
+        results.pass('openSidebar() rejects extensions without a sidebar');
+      } else {
+        results.fail('openSidebar() rejects extensions without a sidebar', `got: ${e}`);
+      }
+    }
+
+    console.log();
+    console.log('----- Evaluate In Extension -----');
+
+    // evaluateInExtension() reads the background page's top-level state
+    try {
+      const expected = await bridge.sendToExtension(HELLO_EXT_ID, { action: 'getCounter' });
+      const value = await bridge.evaluateInExtension(HELLO_EXT_ID, () => counter);
+      if (value === expected.data) {
+        results.pass('evaluateInExtension() reads background state');
+      } else {
+        results.fail('evaluateInExtension() reads background state', `got: ${value}, expected: ${expected.data}`);
+      }
+    } catch (e) {
+      results.error('evaluateInExtension() reads background state', e);
+    }
+
+    // Arguments are passed through and async results are awaited
+    try {
+      const result = await bridge.evaluateInExtension(HELLO_EXT_ID, async (a, b) => {
+        const manifest = browser.runtime.getManifest();
+        return { sum: a + b, name: manifest.name };
+      }, 2, 3);
+      if (result.sum === 5 && result.name === 'Hello World Extension') {
+        results.pass('evaluateInExtension() passes arguments and awaits results');
+      } else {
+        results.fail('evaluateInExtension() passes arguments and awaits results', `got: ${JSON.stringify(result)}`);
+      }
+    } catch (e) {
+      results.error('evaluateInExtension() passes arguments and awaits results', e);
+    }
+
+    // Errors thrown by the function become ExtensionError
+    try {
+      await bridge.evaluateInExtension(HELLO_EXT_ID, () => { throw new Error('inspected failure'); });
+      results.fail('evaluateInExtension() rethrows errors', 'no error thrown');
+    } catch (e) {
+      if (e instanceof ExtensionError && e.message === 'inspected failure') {
+        results.pass('evaluateInExtension() rethrows errors');
+      } else {
+        results.fail('evaluateInExtension() rethrows errors', `got ${e.name}: ${e.message}`);
+      }
+    }
+
+    // Unknown extensions throw ExtensionNotFoundError
+    try {
+      await bridge.evaluateInExtension('nonexistent@example.com', () => 1);
+      results.fail('evaluateInExtension() throws for nonexistent extension', 'no error thrown');
+    } catch (e) {
+      if (e instanceof ExtensionNotFoundError) {
+        results.pass('evaluateInExtension() throws for nonexistent extension');
+      } else {
+        results.fail('evaluateInExtension() throws for nonexistent extension', `got ${e.name}: ${e.message}`);
+      }
+    }
+
+    console.log();
+    console.log('----- Extension Storage -----');
+
+    // setExtensionStorage() / getExtensionStorage() round trip
+    try {
+      await bridge.clearExtensionStorage(HELLO_EXT_ID, 'local');
+      await bridge.setExtensionStorage(HELLO_EXT_ID, 'local', { theme: 'dark', visits: 3 });
+      const all = await bridge.getExtensionStorage(HELLO_EXT_ID, 'local');
+      const some = await bridge.getExtensionStorage(HELLO_EXT_ID, 'local', ['theme']);
+      if (all.theme === 'dark' && all.visits === 3 && JSON.stringify(some) === '{"theme":"dark"}') {
+        results.pass('setExtensionStorage() and getExtensionStorage() round trip');
+      } else {
+        results.fail('setExtensionStorage() and getExtensionStorage() round trip', `all: ${JSON.stringify(all)}, some: ${JSON.stringify(some)}`);
+      }
+    } catch (e) {
+      results.error('setExtensionStorage() and getExtensionStorage() round trip', e);
+    }
+
+    // watchExtensionStorage() records changes as events
+    try {
+      await bridge.watchExtensionStorage(HELLO_EXT_ID);
+      const since = await bridge.getEventCursor();
+      await bridge.setExtensionStorage(HELLO_EXT_ID, 'local', { theme: 'light' });
+      const event = await bridge.waitForStorageChange(HELLO_EXT_ID, { key: 'theme', since }, 5000);
+      if (event && event.area === 'local' && event.changes.theme.oldValue === 'dark' && event.changes.theme.newValue === 'light') {
+        results.pass('watchExtensionStorage() records storage changes');
+      } else {
+        results.fail('watchExtensionStorage() records storage changes', `got: ${JSON.stringify(event)}`);
+      }
+    } catch (e) {
+      results.error('watchExtensionStorage() records storage changes', e);
+    }
+
+    // clearExtensionStorage() empties the area
+    try {
+      await bridge.clearExtensionStorage(HELLO_EXT_ID, 'local');
+      const all = await bridge.getExtensionStorage(HELLO_EXT_ID);
+      if (Object.keys(all).length === 0) {
+        results.pass('clearExtensionStorage() empties the storage area');
+      } else {
+        results.fail('clearExtensionStorage() empties the storage area', `got: ${JSON.stringify(all)}`);
+      }
+    } catch (e) {
+      results.error('clearExtensionStorage() empties the storage area', e);
+    }
+
+    console.log('----- Console Capture -----');
+
+    // Page console output is recorded with its tab
+    try {
+      await browser.driver.get(generateTestUrl('console-test'));
+      await sleep(500);
+      const since = await bridge.getEventCursor();
+      await browser.driver.executeScript(() => console.warn('page warning', { answer: 42 }));
+      const messages = await waitForCondition(async () => {
+        const found = await bridge.getConsoleMessages({ level: 'warn', since });
+        return found.length ? found : null;
+      }, 5000, 100);
+      const message = messages && messages[0];
+      if (message && message.source === 'page' && message.message === 'page warning {"answer":42}' && message.tabId !== undefined) {
+        results.pass('getConsoleMessages() records page console output');
+      } else {
+        results.fail('getConsoleMessages() records page console output', `got: ${JSON.stringify(messages)}`);
+      }
+    } catch (e) {
+      results.error('getConsoleMessages() records page console output', e);
+    }
+
+    // Uncaught page errors are recorded as exceptions
+    try {
+      const since = await bridge.getEventCursor();
+      await browser.driver.executeScript(() => setTimeout(() => { throw new Error('page failure'); }));
+      const messages = await waitForCondition(async () => {
+        const found = await bridge.getConsoleMessages({ level: 'exception', since });
+        return found.length ? found : null;
+      }, 5000, 100);
+      if (messages && messages[0].message.includes('page failure')) {
+        results.pass('getConsoleMessages() records uncaught page errors');
+      } else {
+        results.fail('getConsoleMessages() records uncaught page errors', `got: ${JSON.stringify(messages)}`);
+      }
+    } catch (e) {
+      results.error('getConsoleMessages() records uncaught page errors', e);
+    }
+
+    // captureConsole() records the extension's background console
+    try {
+      await bridge.captureConsole(HELLO_EXT_ID);
+      const since = await bridge.getEventCursor();
+      await bridge.evaluateInExtension(HELLO_EXT_ID, () => console.error('background trouble'));
+      const messages = await waitForCondition(async () => {
+        const found = await bridge.getConsoleMessages({ extensionId: HELLO_EXT_ID, level: 'error', since });
+        return found.length ? found : null;
+      }, 5000, 100);
+      if (messages && messages[0].source === 'background' && messages[0].message === 'background trouble') {
+        results.pass('captureConsole() records extension console output');
+      } else {
+        results.fail('captureConsole() records extension console output', `got: ${JSON.stringify(messages)}`);
+      }
+    } catch (e) {
+      results.error('captureConsole() records extension console output', e);
+    }
+
+    // Pages can't log in an extension's name
+    try {
+      await browser.driver.get(generateTestUrl('console-forgery-test'));
+      await sleep(500);
+      const since = await bridge.getEventCursor();
+      await browser.driver.executeScript((extensionId) => {
+        const detail = JSON.stringify({ level: 'error', message: 'forged', extensionId });
+        document.dispatchEvent(new CustomEvent('testbridge-console', { detail }));
+        console.error('page error');
+      }, HELLO_EXT_ID);
+      const messages = await waitForCondition(async () => {
+        const found = await bridge.getConsoleMessages({ level: 'error', since });
+        return found.length ? found : null;
+      }, 5000, 100);
+      await sleep(500);
+      const all = await bridge.getConsoleMessages({ since });
+      if (messages && all.every(m => m.extensionId === undefined && m.source === 'page')) {
+        results.pass('pages cannot record console messages for an extension');
+      } else {
+        results.fail('pages cannot record console messages for an extension', `got: ${JSON.stringify(all)}`);
+      }
+    } catch (e) {
+      results.error('pages cannot record console messages for an extension', e);
+    }
+
+    // failOnError makes the next call throw after an uncaught extension error
+    try {
+      await bridge.captureConsole(HELLO_EXT_ID, { failOnError: true });
+      const since = await bridge.getEventCursor();
+      await bridge.evaluateInExtension(HELLO_EXT_ID, () => {
+        setTimeout(() => { throw new Error('background failure'); });
+      });
+      await waitForCondition(async () => (await bridge.getConsoleMessages({ level: 'exception', since })).length > 0, 5000, 100);
+
+      let thrown = null;
+      try {
+        await bridge.getTabs();
+      } catch (e) {
+        thrown = e;
+      }
+      const tabs = await bridge.getTabs();
+      await bridge.captureConsole(HELLO_EXT_ID, { failOnError: false });
+      if (thrown instanceof UncaughtExtensionError && thrown.message.includes('background failure') &&
+          thrown.details.extensionId === HELLO_EXT_ID && Array.isArray(tabs)) {
+        results.pass('captureConsole({ failOnError }) fails the next call once');
+      } else {
+        results.fail('captureConsole({ failOnError }) fails the next call once', `got: ${thrown}`);
+      }
+    } catch (e) {
+      results.error('captureConsole({ failOnError }) fails the next call once', e);
+    }
+
+    console.log('----- Extension Messages -----');
+
+    // Messages the extension sends the bridge are recorded per sender
+    try {
+      const since = await bridge.getEventCursor();
+      const waiting = bridge.waitForExtensionMessage(HELLO_EXT_ID, message => message.type === 'syncFinished', 5000);
+      await bridge.evaluateInExtension(HELLO_EXT_ID, (bridgeId) => {
+        browser.runtime.sendMessage(bridgeId, { type: 'syncFinished', items: 3 });
+      }, bridge.bridgeExtensionId);
+      const event = await waiting;
+      const messages = await bridge.getMessagesFromExtension(HELLO_EXT_ID, { since });
+      if (event && event.type === 'received' && event.message.items === 3 && messages.length === 1) {
+        results.pass('waitForExtensionMessage() receives messages sent by the extension');
+      } else {
+        results.fail('waitForExtensionMessage() receives messages sent by the extension', `got: ${JSON.stringify(event)}, messages: ${messages.length}`);
+      }
+    } catch (e) {
+      results.error('waitForExtensionMessage() receives messages sent by the extension', e);
+    }
+
+    // Canned replies answer matching messages only
+    try {
+      await bridge.setExtensionReply(HELLO_EXT_ID, { apiUrl: 'http://127.0.0.1:8080/api' }, { match: { type: 'getConfig' } });
+      const replies = await bridge.evaluateInExtension(HELLO_EXT_ID, async (bridgeId) => [
+        await browser.runtime.sendMessage(bridgeId, { type: 'getConfig' }),
+        await browser.runtime.sendMessage(bridgeId, { type: 'other' })
+      ], bridge.bridgeExtensionId);
+      await bridge.clearExtensionReplies(HELLO_EXT_ID);
+      if (replies[0] && replies[0].apiUrl === 'http://127.0.0.1:8080/api' && replies[1] == null) {
+        results.pass('setExtensionReply() answers matching messages');
+      } else {
+        results.fail('setExtensionReply() answers matching messages', `got: ${JSON.stringify(replies)}`);
+      }
+    } catch (e) {
+      results.error('setExtensionReply() answers matching messages', e);
+    }
+
+    // Ports opened by the extension are recorded and get canned replies
+    try {
+      const since = await bridge.getEventCursor();
+      await bridge.setExtensionReply(HELLO_EXT_ID, 'ack');
+      const reply = await bridge.evaluateInExtension(HELLO_EXT_ID, (bridgeId) => new Promise((resolve) => {
+        const port = browser.runtime.connect(bridgeId, { name: 'analytics' });
+        port.onMessage.addListener((message) => {
+          port.disconnect();
+          resolve(message);
+        });
+        port.postMessage({ event: 'opened' });
+      }), bridge.bridgeExtensionId);
+      await bridge.clearExtensionReplies(HELLO_EXT_ID);
+      await bridge.waitForExtensionMessage(HELLO_EXT_ID, { types: ['portDisconnected'], since }, 5000);
+      const types = (await bridge.getMessagesFromExtension(HELLO_EXT_ID, { since })).map(e => e.type);
+      if (reply === 'ack' && types.join() === 'portConnected,portMessage,portDisconnected') {
+        results.pass('getMessagesFromExtension() records port messages');
+      } else {
+        results.fail('getMessagesFromExtension() records port messages', `reply: ${reply}, types: ${types}`);
+      }
+    } catch (e) {
+      results.error('getMessagesFromExtension() records port messages', e);
+    }
+
+    console.log('----- Extension Ports -----');
+
+    // connectToExtension() posts and receives messages in order
+    try {
+      const port = await bridge.connectToExtension(HELLO_EXT_ID, { name: 'counter' });
+      await port.postMessage({ action: 'increment' });
+      await port.postMessage({ action: 'increment' });
+      const first = await port.waitForMessage(null, 5000);
+      const second = await port.waitForMessage(null, 5000);
+      const all = await port.getMessages();
+      await port.disconnect();
+      const connected = await port.isConnected();
+      if (first && second && second.counter === first.counter + 1 && all.length === 2 && !connected) {
+        results.pass('connectToExtension() exchanges messages over a port');
+      } else {
+        results.fail('connectToExtension() exchanges messages over a port',
+          `first: ${JSON.stringify(first)}, second: ${JSON.stringify(second)}, all: ${all.length}, connected: ${connected}`);
+      }
+    } catch (e) {
+      results.error('connectToExtension() exchanges messages over a port', e);
+    }
+
+    // Messages the extension posts as soon as the port connects are queued too
+    try {
+      const port = await bridge.connectToExtension(HELLO_EXT_ID, { name: 'welcome' });
+      const welcome = await port.waitForMessage(null, 5000);
+      const all = await port.getMessages();
+      await port.disconnect();
+      if (welcome && welcome.action === 'welcome' && all.length === 1) {
+        results.pass('ExtensionPort queues messages posted from onConnectExternal');
+      } else {
+        results.fail('ExtensionPort queues messages posted from onConnectExternal',
+          `welcome: ${JSON.stringify(welcome)}, all: ${JSON.stringify(all)}`);
+      }
+    } catch (e) {
+      results.error('ExtensionPort queues messages posted from onConnectExternal', e);
+    }
+
+    // A port's messages and state don't depend on the shared event buffers
+    try {
+      const port = await bridge.connectToExtension(HELLO_EXT_ID, { name: 'counter' });
+      await port.postMessage({ action: 'get' });
+      const reply = await port.waitForMessage(null, 5000);
+      await port.disconnect();
+      await bridge.getMessagesFromExtension(HELLO_EXT_ID, { clear: true });
+      const all = await port.getMessages();
+      const connected = await port.isConnected();
+      if (reply && all.length === 1 && !connected) {
+        results.pass('ExtensionPort keeps its messages and state after the event log is cleared');
+      } else {
+        results.fail('ExtensionPort keeps its messages and state after the event log is cleared',
+          `reply: ${JSON.stringify(reply)}, all: ${all.length}, connected: ${connected}`);
+      }
+    } catch (e) {
+      results.error('ExtensionPort keeps its messages and state after the event log is cleared', e);
+    }
+
+    // connectToExtension() throws for a missing extension
+    try {
+      await bridge.connectToExtension('nonexistent@example.local');
+      results.fail('connectToExtension() throws ExtensionNotFoundError', 'no error thrown');
+    } catch (e) {
+      if (e instanceof ExtensionNotFoundError && e.details.targetExtensionId === 'nonexistent@example.local') {
+        results.pass('connectToExtension() throws ExtensionNotFoundError');
+      } else {
+        results.fail('connectToExtension() throws ExtensionNotFoundError', `got: ${e}`);
+      }
+    }
+
+    console.log('----- Custom Bridge ID -----');
+
+    // launchBrowser({ bridgeId }) runs a copy of the bridge under another ID
+    let companion;
+    try {
+      companion = await launchBrowser({
+        extensions: [HELLO_EXT_DIR],
+        waitForInit: 2000,
+        bridgeId: 'companion-bridge@example.local',
+        bridgeName: 'Companion Bridge'
+      });
+      const resp = await companion.testBridge.sendToExtension(HELLO_EXT_ID, { action: 'whoami' });
+      if (companion.testBridge.bridgeExtensionId === 'companion-bridge@example.local' && resp.data === 'companion-bridge@example.local') {
+        results.pass('launchBrowser({ bridgeId }) sends as the custom ID');
+      } else {
+        results.fail('launchBrowser({ bridgeId }) sends as the custom ID',
+          `bridgeExtensionId: ${companion.testBridge.bridgeExtensionId}, got: ${JSON.stringify(resp)}`);
+      }
+    } catch (e) {
+      results.error('launchBrowser({ bridgeId }) sends as the custom ID', e);
+    } finally {
+      await cleanupBrowser(companion);
     }
 
   } catch (e) {